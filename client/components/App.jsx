@@ -1,44 +1,99 @@
-import { useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import logo from "/assets/realtime-chat-logo.svg";
 import EventLog from "./EventLog";
+import Transcript from "./Transcript";
+import SessionSettingsDrawer from "./SessionSettingsDrawer";
+import RecordingDownloads from "./RecordingDownloads";
+import AudioLevelMeters from "./AudioLevelMeters";
+import ConnectionDiagnostics from "./ConnectionDiagnostics";
+import LatencyPanel from "./LatencyPanel";
+import ResponseTimeline from "./ResponseTimeline";
+import UsageMeter from "./UsageMeter";
+import RateLimitStatus from "./RateLimitStatus";
+import Notifications from "./Notifications";
+import HistoryBrowser from "./HistoryBrowser";
+import ResumeNotice from "./ResumeNotice";
+import ExportMenu from "./ExportMenu";
 import SessionControls from "./SessionControls";
 import ToolPanel from "./ToolPanel";
 import DarkModeToggle from "./DarkModeToggle";
-import { ChevronLeft, ChevronRight } from "lucide-react";
+import { createWebSocketTransport, getRelayUrl } from "../lib/websocketTransport";
+import { createReplayTransport, getRecordedToolOutputs } from "../lib/replayTransport";
+import { answerWithMockPeer } from "../lib/mockPeer";
+import { parseEventLogJsonl } from "../lib/eventLogFile";
+import { getConversationItems, buildReplayEvents } from "../lib/conversation";
+import { buildTurnDetection, buildInputAudioTranscription, getConfirmedSession } from "../lib/sessionConfig";
+import { createSessionRecorder, buildEventMarkers, isRecordingSupported } from "../lib/recorder";
+import { fromRateLimitsEvent } from "../lib/rateLimits";
+import { buildSessionRecord, saveSession, getSessionId, archiveEvents, loadArchivedEvents, deleteArchivedEvents } from "../lib/historyStore";
+import { createEventBuffer, loadEventBufferCapacity, saveEventBufferCapacity } from "../lib/eventBuffer";
+import { planResume, buildResumeEvents } from "../lib/resume";
+import { notify, httpError, classifyConnectionError, classifyServerError, FOCUS_EVENT } from "../lib/notifications";
+import { ChevronLeft, ChevronRight, History } from "lucide-react";
 
-// Audio Waveform component to visualize AI speaking
-function AudioWaveform({ isActive }) {
-  if (!isActive) return null;
-  
-  return (
-    <div className="audio-waveform flex items-center px-4 py-2 bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300 rounded-md">
-      <div className="flex items-center gap-1 mr-2">
-        {[1, 2, 3, 4, 5].map((i) => (
-          <div 
-            key={i}
-            className="w-1 bg-green-500 dark:bg-green-400 rounded-full"
-            style={{ 
-              height: `${Math.max(4, Math.floor(Math.random() * 24))}px`,
-              animation: `waveform 0.5s ease infinite ${i * 0.1}s`
-            }}
-          ></div>
-        ))}
-      </div>
-      <span className="text-sm font-medium">AI is speaking...</span>
-    </div>
-  );
+// Reconnect backoff: 1s, 2s, 4s, 8s, 15s (plus a little jitter)
+const MAX_RECONNECT_ATTEMPTS = 5;
+
+const HISTORY_SAVE_DELAY_MS = 2000; // Debounce for writing the running session to history
+const EVENT_FLUSH_INTERVAL_MS = 50; // Events are rendered in batches at most this often
+const ARCHIVE_BATCH_SIZE = 200; // Events spilled from the buffer are written to IndexedDB in batches
+
+function getReconnectDelay(attempt) {
+  const base = Math.min(1000 * 2 ** (attempt - 1), 15000);
+  return base + Math.floor(Math.random() * 250);
 }
 
 export default function App() {
   const [isSessionActive, setIsSessionActive] = useState(false);
-  const [events, setEvents] = useState([]);
+  const [events, setEvents] = useState([]); // Newest first, only what's still in the event buffer
+  const [sessionEvents, setSessionEvents] = useState([]); // Plus what the buffer retains of older events, for the conversation views
+  const [spilledEventCount, setSpilledEventCount] = useState(0);
+  const [toolExecutions, setToolExecutions] = useState([]); // Tool runs reported by ToolPanel, for the timeline
+  const [eventBufferCapacity, setEventBufferCapacity] = useState(null);
   const [dataChannel, setDataChannel] = useState(null);
   const peerConnection = useRef(null);
   const audioElement = useRef(null);
+  const localStream = useRef(null);
+  const activeChannel = useRef(null); // Mirrors dataChannel for use outside of renders
+  const spillQueue = useRef([]); // Events evicted from the buffer, waiting to be archived
+  const eventBuffer = useRef(null);
+  if (!eventBuffer.current) {
+    eventBuffer.current = createEventBuffer({ onSpill: (event) => spillQueue.current.push(event) });
+  }
+  const eventListeners = useRef(new Set()); // Called with every event as it's recorded (e.g. by ToolPanel)
+  const flushTimer = useRef(null);
+  const archiveSessionId = useRef(null); // History id that spilled events are archived under
+  const logReplay = useRef(null); // { name, events, speed, toolOutputs } while replaying an event log
+  const sessionConfig = useRef(null); // { voiceId, instructions, options } of the current session
+  const [sessionStartedAt, setSessionStartedAt] = useState(null); // Changes once per session (not on reconnect)
+  const [sessionModel, setSessionModel] = useState(null); // Model reported by /token, used for pricing
+  const stopRequested = useRef(false);
+  const connectionStage = useRef(null); // Step of the connection setup in progress, for error reports
+  const isReconnecting = useRef(false);
+  const reconnectAttempt = useRef(0);
+  const replayItems = useRef(null); // Conversation to replay once a reconnect succeeds
+  const seedEvents = useRef(null); // Items from a resumed conversation, sent when the session opens
+  const [resumeInfo, setResumeInfo] = useState(null); // What a resumed session carried over
+  const [reconnectStatus, setReconnectStatus] = useState(null);
+  const sessionOverrides = useRef({}); // Session fields changed live, re-applied after a reconnect
+  const micEnabled = useRef(true);
+  const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const activeResponseId = useRef(null); // Response currently being generated
+  const assistantAudio = useRef(null); // { itemId, startedAt, playing } of the latest assistant audio
+  const recorder = useRef(null);
+  const [recordingStartedAt, setRecordingStartedAt] = useState(null);
+  const [recording, setRecording] = useState(null); // Finished recording offered for download
   const [toolsAdded, setToolsAdded] = useState([]);
   const [activeToolCall, setActiveToolCall] = useState(null);
-  const [isAISpeaking, setIsAISpeaking] = useState(false);
+  const [micStream, setMicStream] = useState(null); // Streams measured by the level meters
+  const [remoteStream, setRemoteStream] = useState(null);
+  const [isUserSpeaking, setIsUserSpeaking] = useState(false); // From server VAD speech_started/stopped
+  const [rateLimits, setRateLimits] = useState(null); // Latest rate_limits.updated with its receive time
   const [envVars, setEnvVars] = useState({});
+  const [mockRealtime, setMockRealtime] = useState(false); // Server answers with the local mock
+  const [mainView, setMainView] = useState("chat"); // "chat" transcript, raw "events" log or response "timeline"
+  const [focusRequest, setFocusRequest] = useState(null); // Event the log should reveal, from a notification
   const [isSidebarVisible, setIsSidebarVisible] = useState(true);
   const [isMobileView, setIsMobileView] = useState(false);
 
@@ -68,6 +123,7 @@ export default function App() {
           
           // Update state so components can re-render with new env vars
           setEnvVars(newEnvVars);
+          setMockRealtime(!!data?.mockRealtime);
           
           console.log("Set window.__ENV__ to:", window.__ENV__);
         }
@@ -79,19 +135,25 @@ export default function App() {
     fetchConfig();
   }, []);
 
-  // Add waveform animation style to document head
+  // Restore the last main pane view (localStorage is only available in the browser)
   useEffect(() => {
-    const style = document.createElement('style');
-    style.innerHTML = `
-      @keyframes waveform {
-        0%, 100% { height: 4px; }
-        50% { height: 20px; }
-      }
-    `;
-    document.head.appendChild(style);
-    return () => {
-      document.head.removeChild(style);
+    const savedView = localStorage.getItem("mainPaneView");
+    if (["chat", "events", "timeline"].includes(savedView)) setMainView(savedView);
+  }, []);
+
+  function changeMainView(view) {
+    setMainView(view);
+    localStorage.setItem("mainPaneView", view);
+  }
+
+  // Notifications link to events, which are only visible in the event log
+  useEffect(() => {
+    const handleFocus = (e) => {
+      setMainView("events");
+      setFocusRequest({ eventId: e.detail.eventId });
     };
+    window.addEventListener(FOCUS_EVENT, handleFocus);
+    return () => window.removeEventListener(FOCUS_EVENT, handleFocus);
   }, []);
 
   // Update the useEffect for mobile detection
@@ -117,59 +179,127 @@ export default function App() {
     };
   }, [isSidebarVisible]);
 
-  async function startSession(voiceId = "verse", instructions = "") {
-    try {
-      // Get a session token for OpenAI Realtime API
-      const tokenResponse = await fetch("/token", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({ 
-          voice: voiceId,
-          instructions: instructions.trim() || undefined // Only send if not empty
-        })
+  // Session settings sent to /token (or to the relay) when connecting
+  function getSessionRequest({ voiceId, instructions, options }) {
+    return {
+      voice: voiceId,
+      instructions: instructions.trim() || undefined, // Only send if not empty
+      turn_detection: options.turnDetection ? buildTurnDetection(options.turnDetection) : undefined,
+      modalities: options.textOnly ? ["text"] : undefined,
+      input_audio_transcription: options.transcription && !options.textOnly
+        ? buildInputAudioTranscription(options.transcription)
+        : undefined,
+    };
+  }
+
+  // Open a connection over the server-side WebSocket relay instead of WebRTC
+  async function connectWebSocket(config) {
+    // Capture the microphone (unless text only); the transport streams it as PCM16 to the relay
+    let ms = null;
+    if (!config.options.textOnly) {
+      connectionStage.current = "microphone";
+      ms = await navigator.mediaDevices.getUserMedia({
+        audio: true,
       });
-      
-      const data = await tokenResponse.json();
-      
-      // Check if the response has the expected structure
-      if (!data || !data.client_secret || !data.client_secret.value) {
-        console.error("Invalid token response", data);
-        alert("Failed to start session: Invalid token response from server");
-        return;
+      ms.getAudioTracks()[0].enabled = micEnabled.current;
+      localStream.current = ms;
+      setMicStream(ms);
+    }
+
+    connectionStage.current = "data_channel";
+    const transport = createWebSocketTransport({
+      url: getRelayUrl(),
+      sessionOptions: getSessionRequest(config),
+      localStream: ms,
+    });
+    recorder.current?.attachMicrophone(ms);
+    recorder.current?.attachAssistant(transport.remoteStream);
+    setRemoteStream(transport.remoteStream);
+    activeChannel.current = transport;
+    setDataChannel(transport);
+  }
+
+  // Open a WebRTC connection. Throws if any step of the setup fails.
+  async function connectWebRTC(config) {
+    // Get a session token for OpenAI Realtime API
+    connectionStage.current = "token";
+    const tokenResponse = await fetch("/token", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify(getSessionRequest(config))
+    });
+    
+    const data = await tokenResponse.json();
+
+    if (!tokenResponse.ok) {
+      throw httpError(data?.error?.message || (typeof data?.error === "string" && data.error) || `Token request failed with status ${tokenResponse.status}`, tokenResponse.status);
+    }
+    
+    // Check if the response has the expected structure
+    if (!data || !data.client_secret || !data.client_secret.value) {
+      console.error("Invalid token response", data);
+      throw new Error("Invalid token response from server");
+    }
+    
+    const EPHEMERAL_KEY = data.client_secret.value;
+
+    // Create a peer connection
+    const pc = new RTCPeerConnection();
+    peerConnection.current = pc;
+
+    // Set up to play remote audio from the model
+    audioElement.current = document.createElement("audio");
+    audioElement.current.autoplay = true;
+    pc.ontrack = (e) => {
+      audioElement.current.srcObject = e.streams[0];
+      recorder.current?.attachAssistant(e.streams[0]);
+      setRemoteStream(e.streams[0]);
+    };
+
+    // The data channel doesn't always close promptly when the network drops
+    pc.onconnectionstatechange = () => {
+      if (pc.connectionState === "failed" && peerConnection.current === pc) {
+        handleConnectionLost();
       }
-      
-      const EPHEMERAL_KEY = data.client_secret.value;
-
-      // Create a peer connection
-      const pc = new RTCPeerConnection();
-
-      // Set up to play remote audio from the model
-      audioElement.current = document.createElement("audio");
-      audioElement.current.autoplay = true;
-      pc.ontrack = (e) => {
-        audioElement.current.srcObject = e.streams[0];
-        // Trigger recheck of audio analysis when track changes
-        setIsAISpeaking(false);
-      };
+    };
 
+    if (config.options.textOnly) {
+      // No microphone needed, but the offer still needs an audio section
+      pc.addTransceiver("audio", { direction: "recvonly" });
+    } else {
       // Add local audio track for microphone input in the browser
+      connectionStage.current = "microphone";
       const ms = await navigator.mediaDevices.getUserMedia({
         audio: true,
       });
+      ms.getAudioTracks()[0].enabled = micEnabled.current;
+      localStream.current = ms;
+      setMicStream(ms);
+      recorder.current?.attachMicrophone(ms);
       pc.addTrack(ms.getTracks()[0]);
+    }
+
+    // Set up data channel for sending and receiving events
+    connectionStage.current = "sdp";
+    const dc = pc.createDataChannel("oai-events");
+    activeChannel.current = dc;
+    setDataChannel(dc);
 
-      // Set up data channel for sending and receiving events
-      const dc = pc.createDataChannel("oai-events");
-      setDataChannel(dc);
+    // Start the session using the Session Description Protocol (SDP)
+    const offer = await pc.createOffer();
+    await pc.setLocalDescription(offer);
 
-      // Start the session using the Session Description Protocol (SDP)
-      const offer = await pc.createOffer();
-      await pc.setLocalDescription(offer);
+    const baseUrl = "https://api.openai.com/v1/realtime";
+    const model = data.model || "gpt-4o-realtime-preview-2024-12-17";
+    setSessionModel(model);
 
-      const baseUrl = "https://api.openai.com/v1/realtime";
-      const model = data.model || "gpt-4o-realtime-preview-2024-12-17";
+    let answerSdp;
+    if (data.mock) {
+      // Mock mode: the offer is answered in the page by a stand-in bridged to the mock
+      answerSdp = await answerWithMockPeer(offer.sdp, { relayUrl: getRelayUrl(), sessionOptions: getSessionRequest(config) });
+    } else {
       const sdpResponse = await fetch(`${baseUrl}?model=${model}`, {
         method: "POST",
         body: offer.sdp,
@@ -179,23 +309,111 @@ export default function App() {
         },
       });
 
-      const answer = {
-        type: "answer",
-        sdp: await sdpResponse.text(),
-      };
-      await pc.setRemoteDescription(answer);
+      if (!sdpResponse.ok) {
+        throw httpError(`SDP negotiation failed with status ${sdpResponse.status}`, sdpResponse.status);
+      }
+      answerSdp = await sdpResponse.text();
+    }
+
+    const answer = {
+      type: "answer",
+      sdp: answerSdp,
+    };
+    await pc.setRemoteDescription(answer);
+    connectionStage.current = "data_channel";
+  }
 
-      peerConnection.current = pc;
+  // Play a recorded event log instead of connecting; it starts once the handlers are attached
+  function connectReplay() {
+    const transport = createReplayTransport({ events: logReplay.current.events, speed: logReplay.current.speed });
+    // Recorded client events keep their recorded times, like the server events in onmessage
+    transport.onclientevent = (event) => {
+      const timestampMs = event.timestampMs ?? Date.now();
+      const timestamp = event.timestamp ?? new Date(timestampMs).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+      recordEvent({ ...event, timestamp, timestampMs, source: 'client' });
+    };
+    activeChannel.current = transport;
+    setDataChannel(transport);
+  }
+
+  // Open a connection using the transport chosen for this session
+  function connect(config) {
+    if (config.options.transport === "replay") return connectReplay();
+    return config.options.transport === "websocket"
+      ? connectWebSocket(config)
+      : connectWebRTC(config);
+  }
+
+  // `options.resume` ({ plan, title, sessionId }) continues a saved conversation;
+  // `options.replay` ({ name, events, speed }) plays an event log without connecting
+  async function startSession(voiceId = "verse", instructions = "", options = {}) {
+    const { resume, replay, ...sessionOptions } = options;
+    // Remember the settings so a dropped connection can be re-established the same way
+    sessionConfig.current = {
+      voiceId,
+      instructions,
+      options: { transport: "webrtc", ...sessionOptions, resumedFrom: resume?.sessionId },
+    };
+    stopRequested.current = false;
+    reconnectAttempt.current = 0;
+    replayItems.current = null;
+    seedEvents.current = resume ? buildResumeEvents(resume.plan) : null;
+    logReplay.current = replay
+      ? { ...replay, startedAt: replay.events.find((event) => event.timestampMs)?.timestampMs ?? null, toolOutputs: getRecordedToolOutputs(replay.events) }
+      : null;
+    setResumeInfo(resume
+      ? {
+        title: resume.title,
+        carriedCount: resume.plan.carried.length,
+        droppedCount: resume.plan.droppedCount,
+        trimmedLatest: resume.plan.trimmedLatest,
+        skippedToolCalls: resume.plan.skippedToolCalls,
+        skippedAudio: resume.plan.skippedAudio,
+        estimatedTokens: resume.plan.estimatedTokens,
+        summary: resume.plan.summary,
+      }
+      : null);
+    sessionOverrides.current = {};
+    micEnabled.current = true;
+    activeResponseId.current = null;
+    assistantAudio.current = null;
+    resetEvents();
+    const startedAt = Date.now();
+    setSessionStartedAt(startedAt);
+    archiveSessionId.current = getSessionId(startedAt);
+    setSessionModel(null);
+    setRateLimits(null);
+
+    // Record the mic and assistant audio if asked to; streams are attached as they connect
+    setRecording(null);
+    if (options.record && !options.textOnly && isRecordingSupported()) {
+      recorder.current = createSessionRecorder();
+      recorder.current.start();
+      setRecordingStartedAt(recorder.current.startedAt);
+    }
+
+    try {
+      await connect(sessionConfig.current);
     } catch (error) {
       console.error("Failed to start session:", error);
-      alert(`Failed to start session: ${error.message}`);
+      notify({ ...classifyConnectionError(error, connectionStage.current), message: error.message });
+      closeConnection();
+      setDataChannel(null);
     }
   }
 
-  // Stop current session, clean up peer connection and data channel
-  function stopSession() {
-    if (dataChannel) {
-      dataChannel.close();
+  // Tear down the transport, peer connection and microphone, keeping the conversation
+  function closeConnection() {
+    const channel = activeChannel.current;
+    if (channel) {
+      // Detach first so closing on purpose doesn't look like a dropped connection
+      channel.onclose = null;
+      try {
+        channel.close();
+      } catch (error) {
+        console.warn("Error closing data channel:", error.message);
+      }
+      activeChannel.current = null;
     }
 
     // Safely access peerConnection and its methods
@@ -210,27 +428,328 @@ export default function App() {
       } catch (error) {
         console.warn("Error during peer connection cleanup:", error.message);
       }
+      peerConnection.current = null;
+    }
+
+    // Release the microphone (the WebSocket transport has no peer connection senders)
+    if (localStream.current) {
+      localStream.current.getTracks().forEach((track) => track.stop());
+      localStream.current = null;
+    }
+    setMicStream(null);
+    setRemoteStream(null);
+    setIsUserSpeaking(false);
+  }
+
+  // Add an event to the buffer. Subscribers hear about it right away; the views
+  // re-render with whatever arrived at most every EVENT_FLUSH_INTERVAL_MS.
+  function recordEvent(event) {
+    eventBuffer.current.push(event);
+    eventListeners.current.forEach((listener) => listener(event));
+    if (!flushTimer.current) {
+      flushTimer.current = setTimeout(flushEvents, EVENT_FLUSH_INTERVAL_MS);
+    }
+  }
+
+  function flushEvents() {
+    clearTimeout(flushTimer.current);
+    flushTimer.current = null;
+    setEvents(eventBuffer.current.getRecentEvents());
+    setSessionEvents(eventBuffer.current.getSessionEvents());
+    setSpilledEventCount(eventBuffer.current.spilledCount);
+    if (spillQueue.current.length >= ARCHIVE_BATCH_SIZE) archiveSpilledEvents();
+  }
+
+  function resetEvents() {
+    clearTimeout(flushTimer.current);
+    flushTimer.current = null;
+    eventBuffer.current.clear();
+    spillQueue.current = [];
+    setEvents([]);
+    setSessionEvents([]);
+    setSpilledEventCount(0);
+    setToolExecutions([]);
+  }
+
+  // ToolPanel reports each tool run when it starts and again when it ends
+  function recordToolExecution(execution) {
+    setToolExecutions((prev) => [...prev.filter((entry) => entry.callId !== execution.callId), execution]);
+  }
+
+  // Write the events evicted from the buffer so far to IndexedDB
+  function archiveSpilledEvents() {
+    const batch = spillQueue.current;
+    spillQueue.current = [];
+    if (batch.length === 0 || !archiveSessionId.current) return Promise.resolve();
+    return archiveEvents(archiveSessionId.current, batch).catch((error) => {
+      console.error("Failed to archive events:", error);
+      notify({ level: "warning", title: "Couldn't archive older events", message: error.message });
+    });
+  }
+
+  // Every event of the session so far, newest first like `events`: the archived ones
+  // plus the buffer. The buffer is read right away, so this can run just before a reset.
+  async function getFullEventLog() {
+    const recent = eventBuffer.current.getRecentEvents();
+    const spilledCount = eventBuffer.current.spilledCount;
+    const sessionId = archiveSessionId.current;
+    await archiveSpilledEvents();
+    if (spilledCount === 0) return recent;
+    // Events spilled after `recent` was read are in both, so only take the earlier ones
+    const archived = (await loadArchivedEvents(sessionId)).slice(0, spilledCount);
+    return recent.concat(archived.reverse());
+  }
+
+  // `listener(event)` is called for every event sent or received; returns an unsubscribe function
+  const subscribeToEvents = useCallback((listener) => {
+    eventListeners.current.add(listener);
+    return () => eventListeners.current.delete(listener);
+  }, []);
+
+  // Restore the event buffer size (localStorage is only available in the browser)
+  useEffect(() => {
+    const capacity = loadEventBufferCapacity();
+    eventBuffer.current.setCapacity(capacity);
+    setEventBufferCapacity(capacity);
+  }, []);
+
+  function changeEventBufferCapacity(capacity) {
+    eventBuffer.current.setCapacity(capacity);
+    saveEventBufferCapacity(capacity);
+    setEventBufferCapacity(capacity);
+    flushEvents();
+  }
+
+  // Stop current session, clean up peer connection and data channel
+  function stopSession() {
+    stopRequested.current = true;
+    closeConnection();
+    finishRecording();
+    if (logReplay.current) {
+      // A replay isn't kept in the history (the recorded session already is), so its
+      // archived events are only needed while it runs
+      const sessionId = archiveSessionId.current;
+      archiveSpilledEvents().then(() => deleteArchivedEvents(sessionId)).catch((error) => {
+        console.error("Failed to delete the replay's archived events:", error);
+      });
+    } else {
+      persistSession(eventBuffer.current.getSessionEvents(), Date.now());
+      // Archive the rest too, so the history keeps the complete event log for export
+      spillQueue.current.push(...eventBuffer.current.getRecentEvents().slice().reverse());
+      archiveSpilledEvents();
     }
 
     setIsSessionActive(false);
+    setIsSettingsOpen(false);
     setDataChannel(null);
-    peerConnection.current = null;
-    setEvents([]);
+    setReconnectStatus(null);
+    replayItems.current = null;
+    seedEvents.current = null;
+    logReplay.current = null;
+    setResumeInfo(null);
+    resetEvents();
+  }
+
+  // Stop the recorder and offer the result for download, with the event log
+  // positions captured now (the events are cleared when the session stops)
+  function finishRecording() {
+    const activeRecorder = recorder.current;
+    if (!activeRecorder) return;
+    recorder.current = null;
+    setRecordingStartedAt(null);
+
+    Promise.all([activeRecorder.stop(), getFullEventLog()])
+      .then(([result, eventLog]) => setRecording({ ...result, markers: buildEventMarkers(eventLog, activeRecorder.startedAt) }))
+      .catch((error) => console.error("Failed to finish recording:", error));
+  }
+
+  // Called when the connection drops without the user disconnecting
+  function handleConnectionLost() {
+    if (stopRequested.current || isReconnecting.current) return;
+
+    // Remember the conversation so far so it can be replayed into the new session
+    if (!replayItems.current) {
+      replayItems.current = getConversationItems(eventBuffer.current.getSessionEvents());
+    }
+
+    closeConnection();
+    setDataChannel(null);
+    reconnect();
+  }
+
+  // Reconnect with exponential backoff. The attempt counter is only reset once a
+  // new channel actually opens, so a connection that drops right away keeps backing off.
+  async function reconnect() {
+    isReconnecting.current = true;
+
+    while (reconnectAttempt.current < MAX_RECONNECT_ATTEMPTS) {
+      reconnectAttempt.current += 1;
+      const attempt = reconnectAttempt.current;
+      const delay = getReconnectDelay(attempt);
+      console.log(`Connection lost - reconnecting in ${delay}ms (attempt ${attempt} of ${MAX_RECONNECT_ATTEMPTS})`);
+      setReconnectStatus({ attempt, maxAttempts: MAX_RECONNECT_ATTEMPTS, delay });
+
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      if (stopRequested.current) break;
+
+      try {
+        // Mints a fresh token and renegotiates SDP (or reopens the relay socket)
+        await connect(sessionConfig.current);
+        isReconnecting.current = false;
+        return;
+      } catch (error) {
+        console.warn(`Reconnect attempt ${attempt} failed:`, error.message);
+        closeConnection();
+      }
+    }
+
+    isReconnecting.current = false;
+    if (!stopRequested.current) {
+      console.error("Giving up on reconnecting");
+      notify({
+        category: "data_channel",
+        title: "Connection lost",
+        message: `Couldn't reconnect after ${MAX_RECONNECT_ATTEMPTS} attempts, so the session has been closed.`,
+        suggestion: "Check your network connection, then start a new session.",
+      });
+      stopSession();
+    }
   }
 
   // Send a message to the model
   function sendClientEvent(message) {
-    if (dataChannel) {
+    if (dataChannel?.kind === "replay") {
+      // The recording already holds what the original session sent
+      return;
+    }
+    if (dataChannel && dataChannel.readyState === "open") {
       const timestamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
       const eventToSend = { ...message, event_id: message.event_id || crypto.randomUUID() };
       dataChannel.send(JSON.stringify(eventToSend));
-      setEvents((prev) => [{ ...eventToSend, timestamp, source: 'client' }, ...prev]);
+      recordEvent({ ...eventToSend, timestamp, timestampMs: Date.now(), source: 'client' });
     } else {
       console.error(
         "Failed to send message - no data channel available",
         message,
       );
+      notify({
+        level: "warning",
+        category: "data_channel",
+        title: "Event not sent",
+        message: `${message.type} couldn't be sent because the connection isn't open.`,
+        suggestion: "Wait for the session to (re)connect and try again.",
+      });
+    }
+  }
+
+  // Remove an item from the server-side conversation; the chat drops it on conversation.item.deleted
+  function deleteConversationItem(item) {
+    sendClientEvent({ type: "conversation.item.delete", item_id: item.serverId });
+  }
+
+  // "Edit" a user message: delete it and create the new text at the same position
+  function editConversationItem(item, text) {
+    sendClientEvent({ type: "conversation.item.delete", item_id: item.serverId });
+    sendClientEvent({
+      type: "conversation.item.create",
+      ...(item.previousItemId && { previous_item_id: item.previousItemId }),
+      item: {
+        type: "message",
+        role: "user",
+        content: [{ type: "input_text", text }],
+      },
+    });
+  }
+
+  // Change session settings while connected. Changes are remembered so they
+  // survive a reconnect (the new token only carries the start settings).
+  function updateSession(session) {
+    sessionOverrides.current = { ...sessionOverrides.current, ...session };
+    sendClientEvent({ type: "session.update", session });
+  }
+
+  // Enable or mute the microphone track without renegotiating (used by push-to-talk)
+  function setMicEnabled(enabled) {
+    micEnabled.current = enabled;
+    localStream.current?.getAudioTracks().forEach((track) => {
+      track.enabled = enabled;
+    });
+  }
+
+  // Follow the assistant's current response and audio so it can be interrupted
+  function trackAssistantAudio(event) {
+    switch (event.type) {
+      case "response.created":
+        activeResponseId.current = event.response?.id || null;
+        // Output muted by an interrupt resumes with the next turn
+        if (audioElement.current) audioElement.current.muted = false;
+        break;
+      case "response.done":
+        activeResponseId.current = null;
+        break;
+      case "response.output_item.added":
+        if (event.item?.type === "message" && event.item.role === "assistant") {
+          assistantAudio.current = { itemId: event.item.id, startedAt: null, playing: false };
+        }
+        break;
+      case "output_audio_buffer.started": // WebRTC only: playback of the response began
+        if (assistantAudio.current) {
+          assistantAudio.current.startedAt = Date.now();
+          assistantAudio.current.playing = true;
+        }
+        break;
+      case "output_audio_buffer.stopped":
+      case "output_audio_buffer.cleared":
+        if (assistantAudio.current) assistantAudio.current.playing = false;
+        break;
+      case "response.audio.delta":
+      case "response.audio_transcript.delta":
+        // Fallback when output_audio_buffer events aren't sent
+        if (assistantAudio.current && !assistantAudio.current.startedAt) {
+          assistantAudio.current.startedAt = Date.now();
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  // Barge-in: stop the current answer and trim the conversation to what was actually heard
+  function interruptResponse() {
+    const channel = activeChannel.current;
+    const audio = assistantAudio.current;
+    const responseActive = !!activeResponseId.current;
+
+    if (responseActive) {
+      sendClientEvent({ type: "response.cancel" });
+    }
+
+    if (!audio || sessionConfig.current?.options.textOnly) return;
+
+    let audioEndMs;
+    let stillPlaying;
+    if (channel?.kind === "websocket") {
+      // The relay transport plays the audio itself, so it knows the exact position
+      stillPlaying = channel.isPlaying(audio.itemId);
+      audioEndMs = channel.getPlayedMs(audio.itemId);
+      channel.stopPlayback(audio.itemId);
+    } else {
+      // With WebRTC, estimate the position from when playback started
+      stillPlaying = audio.playing;
+      audioEndMs = audio.startedAt ? Date.now() - audio.startedAt : 0;
+      sendClientEvent({ type: "output_audio_buffer.clear" });
+      if (audioElement.current) audioElement.current.muted = true;
+    }
+
+    if (stillPlaying || responseActive) {
+      sendClientEvent({
+        type: "conversation.item.truncate",
+        item_id: audio.itemId,
+        content_index: 0,
+        audio_end_ms: Math.max(0, Math.round(audioEndMs)),
+      });
     }
+    assistantAudio.current = null;
   }
 
   // Send a text message to the model
@@ -256,68 +775,135 @@ export default function App() {
     }, 100);
   }
 
+  // Start a new session that continues a conversation from the history
+  function resumeSession(record) {
+    setIsHistoryOpen(false);
+    setMainView("chat");
+    startSession(record.voice, record.instructions || "", {
+      // A replayed log has nothing to reconnect to, so it's continued live
+      transport: record.transport && record.transport !== "replay" ? record.transport : "webrtc",
+      resume: { plan: planResume(record.items), title: record.title, sessionId: record.id },
+    });
+  }
+
+  // Replay an exported event log (JSONL) through the same handlers as a live session
+  async function startReplay(file, speed) {
+    let events;
+    try {
+      events = parseEventLogJsonl(await file.text());
+    } catch (error) {
+      console.error("Failed to load event log:", error);
+      notify({ title: "Couldn't load the event log", message: error.message, suggestion: "Pick a .jsonl file exported from the event log." });
+      return;
+    }
+    // Keep the recorded voice and instructions for the history entry
+    const session = getConfirmedSession(events.slice().reverse());
+    setMainView("chat");
+    startSession(session?.voice, session?.instructions || "", {
+      transport: "replay",
+      replay: { name: file.name, events, speed },
+    });
+  }
+
+  // History record for the running session (also what the export menu renders).
+  // A replay is dated by its recording.
+  function buildCurrentRecord(sessionEvents, endedAt = null) {
+    const config = sessionConfig.current;
+    return buildSessionRecord({
+      events: sessionEvents,
+      startedAt: logReplay.current?.startedAt ?? sessionStartedAt,
+      endedAt,
+      voice: config?.voiceId,
+      instructions: config?.instructions,
+      model: sessionModel,
+      transport: config?.options.transport,
+      resumedFrom: config?.options.resumedFrom,
+    });
+  }
+
+  // Write the session to the IndexedDB history. `endedAt` is only known when stopping.
+  // Replays aren't saved: they'd duplicate the session they were recorded from.
+  function persistSession(sessionEvents, endedAt = null) {
+    if (!sessionConfig.current || !sessionStartedAt || sessionEvents.length === 0 || logReplay.current) return;
+
+    const record = buildCurrentRecord(sessionEvents, endedAt);
+    saveSession(record).catch((error) => {
+      console.error("Failed to save session history:", error);
+      notify({ level: "warning", title: "Couldn't save conversation history", message: error.message });
+    });
+  }
+
+  // Save the conversation as it happens so it survives a reload
+  useEffect(() => {
+    if (!isSessionActive || sessionEvents.length === 0) return;
+    const timer = setTimeout(() => persistSession(sessionEvents), HISTORY_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [sessionEvents, isSessionActive]);
+
   // Attach event listeners to the data channel when a new one is created
   useEffect(() => {
     if (dataChannel) {
       dataChannel.onmessage = (e) => {
         const event = JSON.parse(e.data);
-        const timestamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+        // Live events are stamped on arrival; replayed ones keep their recorded times
+        const timestampMs = event.timestampMs ?? Date.now();
+        const timestamp = event.timestamp ?? new Date(timestampMs).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
         
-        // Check for speech events to detect when AI is speaking
-        if (event.type === 'speech.started') {
-          setIsAISpeaking(true);
-        } else if (event.type === 'speech.stopped' || event.type === 'speech.done') {
-          setIsAISpeaking(false);
+        // Server VAD tells us when it hears the user
+        if (event.type === "input_audio_buffer.speech_started") {
+          setIsUserSpeaking(true);
+        } else if (event.type === "input_audio_buffer.speech_stopped") {
+          setIsUserSpeaking(false);
+        }
+
+        if (event.type === "error") {
+          notify(classifyServerError(event));
         }
+
+        if (event.type === "rate_limits.updated") {
+          setRateLimits(fromRateLimitsEvent(event));
+        }
+
+        trackAssistantAudio(event);
         
-        setEvents((prev) => [{ ...event, timestamp, source: 'server' }, ...prev]);
+        recordEvent({ ...event, timestamp, timestampMs, source: 'server' });
       };
       dataChannel.onopen = () => {
         setIsSessionActive(true);
-        setEvents([]);
+        reconnectAttempt.current = 0;
+        setReconnectStatus(null);
+
+        // A resumed conversation is seeded before the first turn
+        if (seedEvents.current) {
+          const events = seedEvents.current;
+          seedEvents.current = null;
+          console.log(`Seeding ${events.length} items from the resumed conversation`);
+          events.forEach((event) => sendClientEvent(event));
+        }
+
+        // After a reconnect, restore the conversation in the new session
+        if (replayItems.current) {
+          const replayEvents = buildReplayEvents(replayItems.current);
+          replayItems.current = null;
+          console.log(`Replaying ${replayEvents.length} conversation items after reconnect`);
+          replayEvents.forEach((event) => sendClientEvent(event));
+          if (Object.keys(sessionOverrides.current).length > 0) {
+            sendClientEvent({ type: "session.update", session: sessionOverrides.current });
+          }
+          // Let ToolPanel send the tools session.update again
+          setToolsAdded(false);
+        }
       };
       dataChannel.onclose = () => {
         console.log("Data channel closed");
-        stopSession();
+        handleConnectionLost();
       };
+      if (dataChannel.kind === "replay") dataChannel.start();
     }
     return () => { dataChannel?.close(); };
   }, [dataChannel]);
 
-  // Add audio analyzers to detect when AI is speaking
-  useEffect(() => {
-    if (!audioElement.current || !audioElement.current.srcObject) return;
-    
-    try {
-      const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
-      const analyser = audioCtx.createAnalyser();
-      const source = audioCtx.createMediaStreamSource(audioElement.current.srcObject);
-      source.connect(analyser);
-      
-      analyser.fftSize = 256;
-      const bufferLength = analyser.frequencyBinCount;
-      const dataArray = new Uint8Array(bufferLength);
-      
-      // Check audio levels periodically to determine if AI is speaking
-      const checkAudioInterval = setInterval(() => {
-        if (!audioElement.current || !audioElement.current.srcObject) {
-          clearInterval(checkAudioInterval);
-          setIsAISpeaking(false);
-          return;
-        }
-        
-        analyser.getByteFrequencyData(dataArray);
-        
-        // Calculate average frequency - if above threshold, AI is speaking
-        const average = dataArray.reduce((a, b) => a + b, 0) / bufferLength;
-        setIsAISpeaking(average > 5); // Threshold may need adjustment
-      }, 100);
-      
-      return () => clearInterval(checkAudioInterval);
-    } catch (error) {
-      console.error("Failed to setup audio analysis:", error);
-    }
-  }, [audioElement.current?.srcObject]);
+  const isReplaying = dataChannel?.kind === "replay";
 
   return (
     <div className="h-screen flex flex-col bg-white dark:bg-dark-background text-secondary-900 dark:text-dark-text">
@@ -326,8 +912,25 @@ export default function App() {
         <div className="flex items-center">
           <img src={logo} alt="OpenAI Realtime UI" className="h-6 mr-3" />
           <h1 className="text-lg font-semibold tracking-tight">Realtime UI</h1>
+          {mockRealtime && (
+            <span
+              className="ml-2 px-2 py-0.5 text-xs font-medium rounded bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300"
+              title="MOCK_REALTIME is enabled - sessions are answered by a local mock, not OpenAI"
+            >
+              Mock
+            </span>
+          )}
         </div>
         <div className="flex items-center">
+          <button
+            onClick={() => setIsHistoryOpen(true)}
+            className="mr-3 text-secondary-500 dark:text-gray-400 hover:text-secondary-700 dark:hover:text-white"
+            title="Conversation history"
+            aria-label="Conversation history"
+          >
+            <History className="h-5 w-5" />
+          </button>
+          <UsageMeter events={sessionEvents} model={sessionModel} sessionStartedAt={sessionStartedAt} isReplay={!!logReplay.current} />
           <a href="https://github.com/bigsk1/openai-realtime-ui" target="_blank" rel="noopener" className="mr-3">
             <div className="text-secondary-500 dark:text-gray-400 hover:text-secondary-700 dark:hover:text-white">
               <svg viewBox="0 0 24 24" width="24" height="24" stroke="currentColor" strokeWidth="1.5" fill="none" strokeLinecap="round" strokeLinejoin="round">
@@ -361,15 +964,92 @@ export default function App() {
         {/* Chat/Event Area - Make it fill the space when sidebar is hidden */}
         <section className={`flex flex-col flex-1 h-full bg-white dark:bg-dark-background overflow-hidden ${isSidebarVisible && !isMobileView ? 'lg:max-w-[calc(100%-460px)]' : ''}`}> 
           <div className="flex-1 p-4 overflow-y-auto space-y-3 scroll-smooth">
-            {isSessionActive && <AudioWaveform isActive={isAISpeaking} />}
-            <EventLog events={events} />
+            {reconnectStatus && (
+              <div className="px-4 py-2 rounded-md bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-300 text-sm">
+                Connection lost - reconnecting (attempt {reconnectStatus.attempt} of {reconnectStatus.maxAttempts})...
+              </div>
+            )}
+            {isSessionActive && (
+              <AudioLevelMeters micStream={micStream} remoteStream={remoteStream} isUserSpeaking={isUserSpeaking} />
+            )}
+            {isSessionActive && <RateLimitStatus rateLimits={rateLimits} />}
+            <ConnectionDiagnostics
+              peerConnection={peerConnection}
+              isSessionActive={isSessionActive}
+              sessionStartedAt={sessionStartedAt}
+            />
+            <LatencyPanel events={sessionEvents} />
+            {recording && !isSessionActive && (
+              <RecordingDownloads recording={recording} onDismiss={() => setRecording(null)} />
+            )}
+            <div className="flex items-center gap-1">
+              <div className="flex gap-1" role="tablist" aria-label="Main view">
+                {[
+                  { id: "chat", name: "Chat" },
+                  { id: "events", name: "Event log" },
+                  { id: "timeline", name: "Timeline" },
+                ].map((view) => (
+                  <button
+                    key={view.id}
+                    role="tab"
+                    aria-selected={mainView === view.id}
+                    onClick={() => changeMainView(view.id)}
+                    className={`px-3 py-1 text-xs rounded ${
+                      mainView === view.id
+                        ? "bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300"
+                        : "text-secondary-600 dark:text-dark-text-secondary hover:bg-secondary-100 dark:hover:bg-dark-surface-alt"
+                    }`}
+                  >
+                    {view.name}
+                  </button>
+                ))}
+              </div>
+              <div className="ml-auto">
+                <ExportMenu
+                  disabled={sessionEvents.length === 0}
+                  // Captions start with the recording, so they line up with its audio
+                  getConversation={() => ({ ...buildCurrentRecord(sessionEvents), captionsStartAt: recordingStartedAt || logReplay.current?.startedAt || sessionStartedAt })}
+                  getEventLog={getFullEventLog}
+                />
+              </div>
+            </div>
+            {mainView === "chat" && resumeInfo && (
+              <ResumeNotice resumeInfo={resumeInfo} onDismiss={() => setResumeInfo(null)} />
+            )}
+            {mainView === "timeline" ? (
+              <ResponseTimeline events={sessionEvents} toolExecutions={toolExecutions} />
+            ) : mainView === "chat" ? (
+              <Transcript
+                events={sessionEvents}
+                onDeleteItem={isSessionActive && !isReplaying ? deleteConversationItem : undefined}
+                onEditItem={isSessionActive && !isReplaying ? editConversationItem : undefined}
+              />
+            ) : (
+              <EventLog
+                events={events}
+                recordingStartedAt={recordingStartedAt}
+                focusRequest={focusRequest}
+                spilledCount={spilledEventCount}
+                bufferCapacity={eventBufferCapacity}
+                onBufferCapacityChange={changeEventBufferCapacity}
+              />
+            )}
           </div>
           <div className="flex-shrink-0 p-3 pb-6 border-t border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface">
             <SessionControls
               startSession={startSession}
+              startReplay={startReplay}
               stopSession={stopSession}
+              sendClientEvent={sendClientEvent}
               sendTextMessage={sendTextMessage}
+              updateSession={updateSession}
+              setMicEnabled={setMicEnabled}
+              onOpenSettings={() => setIsSettingsOpen(true)}
+              interruptResponse={interruptResponse}
               isSessionActive={isSessionActive}
+              replay={isReplaying && logReplay.current
+                ? { transport: dataChannel, name: logReplay.current.name }
+                : null}
             />
           </div>
         </section>
@@ -389,16 +1069,35 @@ export default function App() {
         >
           <ToolPanel
             sendClientEvent={sendClientEvent}
-            events={events}
+            subscribeToEvents={subscribeToEvents}
             isSessionActive={isSessionActive}
             toolsAdded={toolsAdded}
             setToolsAdded={setToolsAdded}
             activeToolCall={activeToolCall}
             setActiveToolCall={setActiveToolCall}
             envVars={envVars}
+            rateLimits={rateLimits}
+            recordedToolOutputs={isReplaying ? logReplay.current?.toolOutputs : null}
+            onToolExecution={recordToolExecution}
           />
         </aside>
       </main>
+
+      <Notifications />
+
+      <HistoryBrowser
+        isOpen={isHistoryOpen}
+        onClose={() => setIsHistoryOpen(false)}
+        onResume={resumeSession}
+        canResume={!isSessionActive}
+      />
+
+      <SessionSettingsDrawer
+        isOpen={isSettingsOpen && isSessionActive}
+        onClose={() => setIsSettingsOpen(false)}
+        events={sessionEvents}
+        updateSession={updateSession}
+      />
     </div>
   );
 }
@@ -0,0 +1,138 @@
+import { useEffect, useState } from "react";
+import { Mic, Volume2, AlertTriangle } from "react-feather";
+import { createLevelAnalyser, toMeterLevel, CLIPPING_PEAK } from "../lib/audioLevels";
+
+const UPDATE_INTERVAL_MS = 50; // Meter refresh rate (the analyser is read every frame)
+const PEAK_HOLD_MS = 1000; // How long the peak marker stays before falling back
+const CLIP_HOLD_MS = 2000; // How long the clipping warning stays after the last clipped frame
+const SOUND_LEVEL = 0.15; // Meter level above which a stream counts as audible
+const SOUND_HOLD_MS = 300; // Bridges short gaps between words
+
+const SILENT = { level: 0, peakLevel: 0, clipping: false, audible: false };
+
+// Live level of a MediaStream, measured with an AnalyserNode
+function useAudioLevel(stream) {
+  const [meter, setMeter] = useState(SILENT);
+
+  useEffect(() => {
+    if (!stream || stream.getAudioTracks().length === 0) {
+      setMeter(SILENT);
+      return;
+    }
+
+    let analyser;
+    try {
+      analyser = createLevelAnalyser(stream);
+    } catch (error) {
+      console.error("Failed to set up audio level meter:", error);
+      return;
+    }
+
+    let frame = null;
+    let lastUpdate = 0;
+    let peakLevel = 0;
+    let peakAt = 0;
+    let clippedAt = -Infinity;
+    let soundAt = -Infinity;
+    let maxRms = 0;
+    let maxPeak = 0;
+
+    const tick = (now) => {
+      const { rms, peak } = analyser.read();
+      // Keep the loudest values between UI updates so short transients aren't missed
+      maxRms = Math.max(maxRms, rms);
+      maxPeak = Math.max(maxPeak, peak);
+
+      if (now - lastUpdate >= UPDATE_INTERVAL_MS) {
+        const level = toMeterLevel(maxRms);
+        if (level >= peakLevel || now - peakAt > PEAK_HOLD_MS) {
+          peakLevel = level;
+          peakAt = now;
+        }
+        if (maxPeak >= CLIPPING_PEAK) clippedAt = now;
+        if (level >= SOUND_LEVEL) soundAt = now;
+
+        setMeter({
+          level,
+          peakLevel,
+          clipping: now - clippedAt < CLIP_HOLD_MS,
+          audible: now - soundAt < SOUND_HOLD_MS,
+        });
+        lastUpdate = now;
+        maxRms = 0;
+        maxPeak = 0;
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      analyser.close();
+      setMeter(SILENT);
+    };
+  }, [stream]);
+
+  return meter;
+}
+
+function LevelBar({ meter, colorClassName }) {
+  return (
+    <div className="relative flex-1 h-2 rounded-full bg-secondary-200 dark:bg-dark-border overflow-hidden">
+      <div
+        className={`absolute inset-y-0 left-0 ${meter.clipping ? "bg-red-500" : colorClassName}`}
+        style={{ width: `${Math.round(meter.level * 100)}%` }}
+      />
+      <div
+        className="absolute inset-y-0 w-0.5 bg-secondary-600 dark:bg-dark-text-secondary"
+        style={{ left: `${Math.round(meter.peakLevel * 100)}%`, opacity: meter.peakLevel > 0 ? 1 : 0 }}
+      />
+    </div>
+  );
+}
+
+// Status badge next to a meter; highlighted while `isOn`
+function Indicator({ isOn, onClassName, children }) {
+  return (
+    <span
+      className={`w-28 text-xs font-medium text-right ${
+        isOn ? onClassName : "text-secondary-400 dark:text-dark-text-secondary"
+      }`}
+    >
+      {children}
+    </span>
+  );
+}
+
+// Input/output level meters shown while a session is active
+export default function AudioLevelMeters({ micStream, remoteStream, isUserSpeaking }) {
+  const mic = useAudioLevel(micStream);
+  const assistant = useAudioLevel(remoteStream);
+
+  return (
+    <div className="px-4 py-2 rounded-md bg-secondary-50 dark:bg-dark-surface border border-secondary-200 dark:border-dark-border space-y-2">
+      {micStream && (
+        <div className="flex items-center gap-3">
+          <Mic height={14} className="flex-shrink-0 text-secondary-500 dark:text-dark-text-secondary" aria-label="Microphone level" />
+          <LevelBar meter={mic} colorClassName="bg-blue-500 dark:bg-blue-400" />
+          <Indicator isOn={isUserSpeaking} onClassName="text-blue-700 dark:text-blue-300">
+            {isUserSpeaking ? "You are speaking" : "Not speaking"}
+          </Indicator>
+        </div>
+      )}
+      <div className="flex items-center gap-3">
+        <Volume2 height={14} className="flex-shrink-0 text-secondary-500 dark:text-dark-text-secondary" aria-label="Assistant output level" />
+        <LevelBar meter={assistant} colorClassName="bg-green-500 dark:bg-green-400" />
+        <Indicator isOn={assistant.audible} onClassName="text-green-700 dark:text-green-300">
+          {assistant.audible ? "AI is speaking" : "AI is silent"}
+        </Indicator>
+      </div>
+      {mic.clipping && (
+        <div className="flex items-center gap-2 text-xs text-red-700 dark:text-red-400">
+          <AlertTriangle height={14} />
+          Your microphone is clipping. Lower the input gain or move further from the mic.
+        </div>
+      )}
+    </div>
+  );
+}
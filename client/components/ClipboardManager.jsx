@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef } from 'react';
 import { ChevronDown, ChevronUp } from 'lucide-react';
+import { notify } from '../lib/notifications';
 
 export default function ClipboardManager() {
   const [clipboardEntries, setClipboardEntries] = useState([]);
@@ -168,11 +169,11 @@ export default function ClipboardManager() {
         setImportData('');
         return true;
       } else {
-        alert('Invalid import data: not an array');
+        notify({ title: 'Invalid import data', message: 'Expected a list of clipboard entries.' });
         return false;
       }
     } catch (error) {
-      alert(`Error importing data: ${error.message}`);
+      notify({ title: 'Error importing clipboard data', message: error.message });
       return false;
     }
   };
@@ -0,0 +1,163 @@
+import { useEffect, useRef, useState } from "react";
+import { Activity, ChevronDown, ChevronUp, Download } from "react-feather";
+import { STATS_METRICS, parseStatsReport, buildStatsSummary, createStatsHistory } from "../lib/webrtcStats";
+import { downloadText } from "../lib/download";
+
+const POLL_INTERVAL_MS = 1000;
+const CHART_WINDOW = 120; // Samples shown in each chart (two minutes)
+
+// Minimal SVG line chart of the most recent values
+function Sparkline({ values, className }) {
+  const width = 200;
+  const height = 40;
+  const points = values.filter((value) => value !== null);
+  if (points.length < 2) {
+    return <div className="h-10 text-xs text-secondary-400 dark:text-dark-text-secondary flex items-center">Collecting...</div>;
+  }
+
+  const max = Math.max(...points, 1);
+  const step = width / (CHART_WINDOW - 1);
+  const offset = CHART_WINDOW - values.length;
+  const path = values
+    .map((value, i) => (value === null ? null : `${((offset + i) * step).toFixed(1)},${(height - (value / max) * (height - 2) - 1).toFixed(1)}`))
+    .filter(Boolean)
+    .join(" ");
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="w-full h-10">
+      <polyline points={path} fill="none" strokeWidth="1.5" className={className} vectorEffect="non-scaling-stroke" />
+    </svg>
+  );
+}
+
+function formatMetric(value, unit) {
+  return value === null || value === undefined ? "—" : `${value} ${unit}`;
+}
+
+function describePair(connection) {
+  const local = connection?.localCandidate;
+  if (!local) return "—";
+  const remote = connection.remoteCandidate;
+  const protocol = local.relayProtocol ? `${local.protocol} via ${local.relayProtocol} relay` : local.protocol;
+  return `${local.type} → ${remote?.type || "?"} (${protocol})`;
+}
+
+// Polls getStats() on the WebRTC peer connection and charts the results.
+// Stats are kept for the whole session (across reconnects) so the summary can
+// still be downloaded after disconnecting; only the recent samples are stored.
+export default function ConnectionDiagnostics({ peerConnection, isSessionActive, sessionStartedAt }) {
+  const history = useRef(createStatsHistory());
+  const [samples, setSamples] = useState([]);
+  const [connection, setConnection] = useState(null);
+  const [isExpanded, setIsExpanded] = useState(false);
+  const previous = useRef({ pc: null, raw: null });
+
+  // Start over for each new session
+  useEffect(() => {
+    history.current = createStatsHistory();
+    setSamples([]);
+    setConnection(null);
+    previous.current = { pc: null, raw: null };
+  }, [sessionStartedAt]);
+
+  useEffect(() => {
+    if (!isSessionActive) return;
+
+    let cancelled = false;
+    const poll = async () => {
+      const pc = peerConnection.current;
+      if (!pc || pc.connectionState === "closed") return;
+      try {
+        const report = await pc.getStats();
+        if (cancelled) return;
+        // Counters restart with a new peer connection, so rates need a fresh baseline
+        const baseline = previous.current.pc === pc ? previous.current.raw : null;
+        const { raw, sample, connection: details } = parseStatsReport(report, baseline);
+        previous.current = { pc, raw };
+        history.current.add(sample);
+        setSamples(history.current.getSamples());
+        if (details.localCandidate || details.codec) setConnection(details);
+      } catch (error) {
+        console.warn("Failed to read WebRTC stats:", error);
+      }
+    };
+
+    const interval = setInterval(poll, POLL_INTERVAL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [isSessionActive, peerConnection]);
+
+  // Only WebRTC sessions have stats; the WebSocket relay has nothing to show
+  if (samples.length === 0) return null;
+
+  const latest = samples[samples.length - 1];
+  const recent = samples.slice(-CHART_WINDOW);
+
+  function handleDownload() {
+    const summary = buildStatsSummary({ history: history.current, connection, startedAt: sessionStartedAt });
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+    downloadText(JSON.stringify(summary, null, 2), `webrtc-diagnostics-${stamp}.json`, "application/json");
+  }
+
+  return (
+    <div className="rounded-md border border-secondary-200 dark:border-dark-border bg-secondary-50 dark:bg-dark-surface text-sm">
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center gap-2 px-4 py-2 text-left"
+        aria-expanded={isExpanded}
+      >
+        <Activity height={14} className="flex-shrink-0 text-secondary-500 dark:text-dark-text-secondary" />
+        <span className="font-medium">Connection</span>
+        <span className="flex-1 truncate text-xs text-secondary-600 dark:text-dark-text-secondary">
+          RTT {formatMetric(latest.rttMs, "ms")} · jitter {formatMetric(latest.jitterMs, "ms")} · loss {formatMetric(latest.packetLossPct, "%")}
+          {connection?.codec && ` · ${connection.codec.mimeType}`}
+          {!isSessionActive && " · session ended"}
+        </span>
+        {isExpanded ? <ChevronUp height={14} /> : <ChevronDown height={14} />}
+      </button>
+
+      {isExpanded && (
+        <div className="px-4 pb-3 space-y-3">
+          <dl className="grid grid-cols-[auto,1fr] gap-x-3 gap-y-1 text-xs">
+            <dt className="text-secondary-500 dark:text-dark-text-secondary">Candidate pair</dt>
+            <dd className="font-mono">{describePair(connection)}</dd>
+            <dt className="text-secondary-500 dark:text-dark-text-secondary">Codec</dt>
+            <dd className="font-mono">
+              {connection?.codec
+                ? `${connection.codec.mimeType} ${connection.codec.clockRate} Hz${connection.codec.channels ? ` × ${connection.codec.channels}` : ""}`
+                : "—"}
+            </dd>
+            <dt className="text-secondary-500 dark:text-dark-text-secondary">Packets lost</dt>
+            <dd className="font-mono">
+              {latest.packetsLostTotal ?? "—"} of {latest.packetsReceivedTotal ?? "—"} received
+            </dd>
+          </dl>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            {STATS_METRICS.map((metric) => (
+              <div key={metric.id}>
+                <div className="flex justify-between text-xs mb-1">
+                  <span className="text-secondary-600 dark:text-dark-text-secondary">{metric.name}</span>
+                  <span className="font-mono">{formatMetric(latest[metric.id], metric.unit)}</span>
+                </div>
+                <Sparkline
+                  values={recent.map((sample) => sample[metric.id])}
+                  className="stroke-blue-500 dark:stroke-blue-400"
+                />
+              </div>
+            ))}
+          </div>
+
+          <button
+            onClick={handleDownload}
+            className="inline-flex items-center gap-1 text-xs px-2 py-1 rounded bg-secondary-100 dark:bg-dark-surface-alt hover:bg-secondary-200 dark:hover:bg-dark-border"
+          >
+            <Download height={12} /> Download summary (JSON)
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,16 +1,24 @@
-import { ArrowUp, ArrowDown } from "react-feather";
-import { useState } from "react";
+import { ArrowUp, ArrowDown, Database } from "react-feather";
+import { memo, useCallback, useEffect, useMemo, useState } from "react";
+import EventLogFilters from "./EventLogFilters";
+import VirtualList from "./VirtualList";
+import { formatRecordingOffset } from "../lib/recorder";
+import { DEFAULT_FILTERS, compileFilters, getEventSource, loadCurrentFilters, saveCurrentFilters } from "../lib/eventFilters";
+import { EVENT_BUFFER_CAPACITIES } from "../lib/eventBuffer";
 
-function Event({ event, timestamp }) {
-  const [isExpanded, setIsExpanded] = useState(false);
-
-  const isClient = event.event_id && !event.event_id.startsWith("event_");
+// Memoized so new events don't re-render the rows already on screen
+const Event = memo(function Event({ event, timestamp, recordingStartedAt, isFocused, isExpanded, onToggle }) {
+  const isClient = getEventSource(event) === "client";
 
   return (
-    <div className="flex flex-col gap-2 p-2 rounded-md bg-gray-50 dark:bg-gray-800 dark:border dark:border-gray-700">
+    <div
+      className={`flex flex-col gap-2 p-2 rounded-md bg-gray-50 dark:bg-gray-800 dark:border dark:border-gray-700 ${
+        isFocused ? "ring-2 ring-amber-400" : ""
+      }`}
+    >
       <div
         className="flex items-center gap-2 cursor-pointer"
-        onClick={() => setIsExpanded(!isExpanded)}
+        onClick={() => onToggle(event.event_id)}
       >
         {isClient ? (
           <ArrowDown className="text-blue-400" />
@@ -20,44 +28,136 @@ function Event({ event, timestamp }) {
         <div className="text-sm text-gray-500 dark:text-gray-300">
           {isClient ? "client:" : "server:"}
           &nbsp;{event.type} | {timestamp}
+          {recordingStartedAt && event.timestampMs && (
+            <span className="ml-1 text-red-500 dark:text-red-400" title="Position in the session recording">
+              | rec {formatRecordingOffset(event.timestampMs - recordingStartedAt)}
+            </span>
+          )}
         </div>
       </div>
-      <div
-        className={`text-gray-500 dark:text-gray-300 bg-gray-200 dark:bg-gray-900 p-2 rounded-md overflow-x-auto ${
-          isExpanded ? "block" : "hidden"
-        }`}
-      >
-        <pre className="text-xs">{JSON.stringify(event, null, 2)}</pre>
-      </div>
+      {isExpanded && (
+        <div className="text-gray-500 dark:text-gray-300 bg-gray-200 dark:bg-gray-900 p-2 rounded-md overflow-x-auto">
+          <pre className="text-xs">{JSON.stringify(event, null, 2)}</pre>
+        </div>
+      )}
+    </div>
+  );
+});
+
+// How many events are kept in memory, and how many older ones went to IndexedDB
+function BufferStatus({ spilledCount, capacity, onCapacityChange }) {
+  if (!capacity) return null;
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs text-secondary-500 dark:text-dark-text-secondary">
+      <Database height={12} />
+      <label className="flex items-center gap-1">
+        Keep the newest
+        <select
+          value={capacity}
+          onChange={(e) => onCapacityChange(Number(e.target.value))}
+          aria-label="Events kept in memory"
+          className="px-1 py-0.5 rounded border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface dark:text-dark-text"
+        >
+          {EVENT_BUFFER_CAPACITIES.map((value) => (
+            <option key={value} value={value}>{value.toLocaleString()}</option>
+          ))}
+        </select>
+        events in memory
+      </label>
+      {spilledCount > 0 && (
+        <span>· {spilledCount.toLocaleString()} older events archived in IndexedDB (not listed here)</span>
+      )}
     </div>
   );
 }
 
-export default function EventLog({ events }) {
-  const eventsToDisplay = [];
-  let deltaEvents = {};
+// `focusRequest` ({ eventId }) expands and scrolls to an event; a new object re-focuses it
+export default function EventLog({
+  events,
+  recordingStartedAt = null,
+  focusRequest = null,
+  spilledCount = 0,
+  bufferCapacity = null,
+  onBufferCapacityChange,
+}) {
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [expandedIds, setExpandedIds] = useState(() => new Set());
+  const [scrollRequest, setScrollRequest] = useState(null);
+
+  // localStorage is only available in the browser
+  useEffect(() => {
+    setFilters(loadCurrentFilters());
+  }, []);
+
+  // Expand and scroll to an event when a notification links to it
+  useEffect(() => {
+    if (!focusRequest) return;
+    setExpandedIds((prev) => new Set(prev).add(focusRequest.eventId));
+    setScrollRequest({ key: focusRequest.eventId });
+  }, [focusRequest]);
+
+  function changeFilters(updated) {
+    setFilters(updated);
+    saveCurrentFilters(updated);
+  }
+
+  // Stable so memoized rows don't re-render
+  const toggleExpanded = useCallback((eventId) => {
+    setExpandedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(eventId)) next.delete(eventId);
+      else next.add(eventId);
+      return next;
+    });
+  }, []);
 
-  events.forEach((event) => {
-    if (event.type.endsWith("delta")) {
-      if (deltaEvents[event.type]) {
-        // for now just log a single event per render pass
-        return;
-      } else {
-        deltaEvents[event.type] = event;
-      }
-    }
+  // A focused event (linked from a notification) is shown even if the filters hide it
+  const filteredEvents = useMemo(() => {
+    const matches = compileFilters(filters);
+    return events.filter((event) => matches(event) || event.event_id === focusRequest?.eventId);
+  }, [events, filters, focusRequest]);
 
-    eventsToDisplay.push(
-      <Event key={event.event_id} event={event} timestamp={event.timestamp} />,
-    );
-  });
+  // Only the newest delta of each type is listed
+  const eventsToDisplay = useMemo(() => {
+    const deltaTypes = new Set();
+    return filteredEvents.filter((event) => {
+      if (!event.type.endsWith("delta")) return true;
+      if (deltaTypes.has(event.type)) return false;
+      deltaTypes.add(event.type);
+      return true;
+    });
+  }, [filteredEvents]);
 
   return (
-    <div className="flex flex-col gap-2 overflow-x-auto">
+    // No overflow here: VirtualList follows the scrolling of the main pane
+    <div className="flex flex-col gap-2">
+      <EventLogFilters
+        filters={filters}
+        onChange={changeFilters}
+        shownCount={filteredEvents.length}
+        totalCount={events.length}
+      />
+      <BufferStatus spilledCount={spilledCount} capacity={bufferCapacity} onCapacityChange={onBufferCapacityChange} />
       {events.length === 0 ? (
         <div className="text-gray-500 dark:text-gray-400">Awaiting events...</div>
+      ) : eventsToDisplay.length === 0 ? (
+        <div className="text-gray-500 dark:text-gray-400">No events match the filters.</div>
       ) : (
-        eventsToDisplay
+        <VirtualList
+          items={eventsToDisplay}
+          getKey={(event) => event.event_id}
+          scrollRequest={scrollRequest}
+          renderItem={(event) => (
+            <Event
+              event={event}
+              timestamp={event.timestamp}
+              recordingStartedAt={recordingStartedAt}
+              isFocused={focusRequest?.eventId === event.event_id}
+              isExpanded={expandedIds.has(event.event_id)}
+              onToggle={toggleExpanded}
+            />
+          )}
+        />
       )}
     </div>
   );
@@ -0,0 +1,143 @@
+import { useEffect, useState } from "react";
+import { Filter, Save, Trash2, X } from "react-feather";
+import {
+  TIME_WINDOWS,
+  DEFAULT_FILTERS,
+  isDefaultFilters,
+  loadFilterPresets,
+  saveFilterPreset,
+  deleteFilterPreset,
+} from "../lib/eventFilters";
+
+const inputClassName = "px-2 py-1 text-xs rounded border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface dark:text-dark-text";
+
+function SourceToggle({ label, checked, onChange, className }) {
+  return (
+    <button
+      onClick={() => onChange(!checked)}
+      aria-pressed={checked}
+      className={`px-2 py-1 text-xs rounded border ${
+        checked
+          ? `${className} border-transparent`
+          : "border-secondary-200 dark:border-dark-border text-secondary-400 dark:text-dark-text-secondary line-through"
+      }`}
+    >
+      {label}
+    </button>
+  );
+}
+
+// Filter bar above the event log, with named presets
+export default function EventLogFilters({ filters, onChange, shownCount, totalCount }) {
+  const [presets, setPresets] = useState([]);
+  const [selectedPreset, setSelectedPreset] = useState("");
+
+  // localStorage is only available in the browser
+  useEffect(() => {
+    setPresets(loadFilterPresets());
+  }, []);
+
+  function update(changes) {
+    setSelectedPreset("");
+    onChange({ ...filters, ...changes });
+  }
+
+  function handlePresetChange(name) {
+    setSelectedPreset(name);
+    const preset = presets.find((entry) => entry.name === name);
+    if (preset) onChange({ ...DEFAULT_FILTERS, ...preset.filters });
+  }
+
+  function handleSavePreset() {
+    const name = window.prompt("Name for this filter preset:", selectedPreset || filters.types || "");
+    if (!name?.trim()) return;
+    setPresets(saveFilterPreset(name.trim(), filters));
+    setSelectedPreset(name.trim());
+  }
+
+  function handleDeletePreset() {
+    if (!selectedPreset) return;
+    setPresets(deleteFilterPreset(selectedPreset));
+    setSelectedPreset("");
+  }
+
+  return (
+    <div className="flex flex-col gap-2 p-2 rounded-md border border-secondary-200 dark:border-dark-border bg-secondary-50 dark:bg-dark-surface">
+      <div className="flex flex-wrap items-center gap-2">
+        <Filter height={14} className="text-secondary-500 dark:text-dark-text-secondary" />
+        <input
+          value={filters.types}
+          onChange={(e) => update({ types: e.target.value })}
+          placeholder="Types, e.g. response.* !*.delta"
+          aria-label="Event type patterns"
+          title="Comma or space separated globs; * matches anything, ! excludes"
+          className={`${inputClassName} font-mono flex-1 min-w-[160px]`}
+        />
+        <input
+          type="search"
+          value={filters.search}
+          onChange={(e) => update({ search: e.target.value })}
+          placeholder="Search payloads..."
+          aria-label="Search event payloads"
+          className={`${inputClassName} flex-1 min-w-[140px]`}
+        />
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <SourceToggle
+          label="client"
+          checked={filters.showClient}
+          onChange={(showClient) => update({ showClient })}
+          className="bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300"
+        />
+        <SourceToggle
+          label="server"
+          checked={filters.showServer}
+          onChange={(showServer) => update({ showServer })}
+          className="bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300"
+        />
+        <select
+          value={filters.timeWindow}
+          onChange={(e) => update({ timeWindow: e.target.value })}
+          aria-label="Time window"
+          className={inputClassName}
+        >
+          {TIME_WINDOWS.map((entry) => (
+            <option key={entry.id} value={entry.id}>{entry.name}</option>
+          ))}
+        </select>
+
+        <select
+          value={selectedPreset}
+          onChange={(e) => handlePresetChange(e.target.value)}
+          aria-label="Filter presets"
+          className={inputClassName}
+        >
+          <option value="">{presets.length > 0 ? "Presets..." : "No presets"}</option>
+          {presets.map((preset) => (
+            <option key={preset.name} value={preset.name}>{preset.name}</option>
+          ))}
+        </select>
+        <button onClick={handleSavePreset} className="p-1 rounded text-secondary-500 hover:bg-secondary-100 dark:hover:bg-dark-surface-alt" title="Save filters as a preset" aria-label="Save preset">
+          <Save height={14} />
+        </button>
+        {selectedPreset && (
+          <button onClick={handleDeletePreset} className="p-1 rounded text-red-500 hover:bg-secondary-100 dark:hover:bg-dark-surface-alt" title="Delete this preset" aria-label="Delete preset">
+            <Trash2 height={14} />
+          </button>
+        )}
+
+        <span className="ml-auto text-xs text-secondary-500 dark:text-dark-text-secondary">
+          {shownCount} of {totalCount} events
+        </span>
+        {!isDefaultFilters(filters) && (
+          <button
+            onClick={() => update(DEFAULT_FILTERS)}
+            className="inline-flex items-center gap-1 text-xs px-2 py-1 rounded hover:bg-secondary-100 dark:hover:bg-dark-surface-alt"
+          >
+            <X height={12} /> Clear
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import { useEffect, useRef, useState } from "react";
+import { Download } from "react-feather";
+import { EXPORT_FORMATS, exportConversation } from "../lib/exporters";
+import { EVENT_LOG_TYPE, toEventLogJsonl, getEventLogFilename } from "../lib/eventLogFile";
+import { downloadText } from "../lib/download";
+import { notify } from "../lib/notifications";
+
+// Dropdown that downloads a conversation in one of the export formats.
+// `getConversation` is called on click so the export reflects the latest state.
+// With `getEventLog` (async, events newest first) the raw event stream can be saved as JSONL too.
+export default function ExportMenu({ getConversation, getEventLog = null, disabled = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  // Close when clicking outside the menu
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [isOpen]);
+
+  function handleExport(formatId) {
+    setIsOpen(false);
+    try {
+      const { text, filename, type } = exportConversation(getConversation(), formatId);
+      downloadText(text, filename, type);
+    } catch (error) {
+      console.error("Export failed:", error);
+      notify({ title: "Couldn't export the conversation", message: error.message });
+    }
+  }
+
+  async function handleExportEventLog() {
+    setIsOpen(false);
+    try {
+      const events = await getEventLog();
+      if (events.length === 0) {
+        notify({ level: "info", title: "No event log to export", message: "No events were kept for this conversation." });
+        return;
+      }
+      downloadText(toEventLogJsonl(events), getEventLogFilename(getConversation().startedAt), EVENT_LOG_TYPE);
+    } catch (error) {
+      console.error("Event log export failed:", error);
+      notify({ title: "Couldn't export the event log", message: error.message });
+    }
+  }
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        disabled={disabled}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        className="inline-flex items-center gap-1 px-3 py-1 text-xs rounded text-secondary-600 dark:text-dark-text-secondary hover:bg-secondary-100 dark:hover:bg-dark-surface-alt disabled:opacity-50 disabled:hover:bg-transparent"
+        title="Download this conversation"
+      >
+        <Download height={12} /> Export
+      </button>
+
+      {isOpen && (
+        <ul role="menu" className="absolute right-0 mt-1 w-44 z-50 py-1 rounded-md border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface shadow-xl">
+          {EXPORT_FORMATS.map((format) => (
+            <li key={format.id}>
+              <button
+                role="menuitem"
+                onClick={() => handleExport(format.id)}
+                className="w-full flex justify-between px-3 py-1.5 text-xs text-left hover:bg-secondary-100 dark:hover:bg-dark-surface-alt"
+              >
+                {format.name}
+                <span className="font-mono text-secondary-500 dark:text-dark-text-secondary">.{format.extension}</span>
+              </button>
+            </li>
+          ))}
+          {getEventLog && (
+            <li className="mt-1 pt-1 border-t border-secondary-200 dark:border-dark-border">
+              <button
+                role="menuitem"
+                onClick={handleExportEventLog}
+                title="Every client and server event with timestamps, for replaying the session"
+                className="w-full flex justify-between px-3 py-1.5 text-xs text-left hover:bg-secondary-100 dark:hover:bg-dark-surface-alt"
+              >
+                Event log
+                <span className="font-mono text-secondary-500 dark:text-dark-text-secondary">.jsonl</span>
+              </button>
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,218 @@
+import { useEffect, useMemo, useState } from "react";
+import { CornerUpLeft, Edit2, Trash2, X } from "react-feather";
+import { ConversationView } from "./Transcript";
+import ExportMenu from "./ExportMenu";
+import { listSessions, renameSession, deleteSession, sessionMatches, loadArchivedEvents } from "../lib/historyStore";
+import { formatCost, formatTokens } from "../lib/usage";
+import { notify } from "../lib/notifications";
+
+const inputClassName = "w-full px-2 py-1 text-sm rounded border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface dark:text-dark-text";
+
+function formatDuration(record) {
+  if (!record.endedAt) return "not ended cleanly";
+  const minutes = Math.round((record.endedAt - record.startedAt) / 60000);
+  return minutes < 1 ? "under a minute" : `${minutes} min`;
+}
+
+// Read-only view of one stored session
+function SessionDetail({ record, onRename, onDelete, onResume, canResume }) {
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [title, setTitle] = useState(record.title);
+
+  useEffect(() => {
+    setIsRenaming(false);
+    setTitle(record.title);
+  }, [record.id, record.title]);
+
+  function handleRename(e) {
+    e.preventDefault();
+    const trimmed = title.trim();
+    if (trimmed && trimmed !== record.title) onRename(record.id, trimmed);
+    setIsRenaming(false);
+  }
+
+  const messageCount = record.items.filter((item) => item.type === "message").length;
+  const toolCallCount = record.items.length - messageCount;
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="p-4 border-b border-secondary-200 dark:border-dark-border space-y-2">
+        {isRenaming ? (
+          <form onSubmit={handleRename} className="flex gap-2">
+            <input
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              autoFocus
+              aria-label="Session title"
+              className={inputClassName}
+            />
+            <button type="submit" className="text-sm px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white">Save</button>
+          </form>
+        ) : (
+          <div className="flex items-start gap-2">
+            <h3 className="flex-1 font-semibold break-words">{record.title}</h3>
+            <button onClick={() => setIsRenaming(true)} className="text-secondary-500 hover:text-secondary-700 dark:hover:text-white" aria-label="Rename session">
+              <Edit2 height={14} />
+            </button>
+            <button onClick={() => onDelete(record.id)} className="text-red-500 hover:text-red-700" aria-label="Delete session">
+              <Trash2 height={14} />
+            </button>
+          </div>
+        )}
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => onResume(record)}
+            disabled={!canResume}
+            title={canResume ? "Start a new session that continues this conversation" : "Disconnect the current session first"}
+            className="inline-flex items-center gap-1 text-xs px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 disabled:bg-gray-500 text-white"
+          >
+            <CornerUpLeft height={12} /> Resume in a new session
+          </button>
+          <ExportMenu
+            getConversation={() => record}
+            getEventLog={() => loadArchivedEvents(record.id).then((events) => events.reverse())}
+          />
+        </div>
+        <dl className="grid grid-cols-[auto,1fr] gap-x-3 gap-y-0.5 text-xs">
+          <dt className="text-secondary-500 dark:text-dark-text-secondary">Started</dt>
+          <dd>{new Date(record.startedAt).toLocaleString()} ({formatDuration(record)})</dd>
+          <dt className="text-secondary-500 dark:text-dark-text-secondary">Model / voice</dt>
+          <dd className="font-mono">{record.model || "unknown"} / {record.voice}</dd>
+          <dt className="text-secondary-500 dark:text-dark-text-secondary">Contents</dt>
+          <dd>{messageCount} messages, {toolCallCount} tool calls</dd>
+          <dt className="text-secondary-500 dark:text-dark-text-secondary">Usage</dt>
+          <dd className="font-mono">
+            {formatTokens(record.usage?.total.totalTokens || 0)} tokens · {formatCost(record.usage?.total.cost)}
+          </dd>
+        </dl>
+        {record.instructions && (
+          <details className="text-xs">
+            <summary className="cursor-pointer text-secondary-500 dark:text-dark-text-secondary">Instructions</summary>
+            <pre className="mt-1 p-2 rounded bg-secondary-50 dark:bg-gray-900 whitespace-pre-wrap">{record.instructions}</pre>
+          </details>
+        )}
+      </div>
+      <div className="flex-1 overflow-y-auto p-4">
+        <ConversationView items={record.items} />
+      </div>
+    </div>
+  );
+}
+
+// Drawer listing past sessions stored in IndexedDB
+export default function HistoryBrowser({ isOpen, onClose, onResume, canResume }) {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [query, setQuery] = useState("");
+  const [selectedId, setSelectedId] = useState(null);
+
+  async function refresh() {
+    setIsLoading(true);
+    try {
+      setSessions(await listSessions());
+    } catch (error) {
+      console.error("Failed to load history:", error);
+      notify({ title: "Couldn't load conversation history", message: error.message });
+    } finally {
+      setIsLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    if (isOpen) refresh();
+  }, [isOpen]);
+
+  const filtered = useMemo(() => sessions.filter((record) => sessionMatches(record, query)), [sessions, query]);
+  const selected = sessions.find((record) => record.id === selectedId) || null;
+
+  if (!isOpen) return null;
+
+  async function handleRename(id, title) {
+    try {
+      await renameSession(id, title);
+      await refresh();
+    } catch (error) {
+      notify({ title: "Couldn't rename session", message: error.message });
+    }
+  }
+
+  async function handleDelete(id) {
+    if (!window.confirm("Delete this session from history? This can't be undone.")) return;
+    try {
+      await deleteSession(id);
+      setSelectedId(null);
+      await refresh();
+    } catch (error) {
+      notify({ title: "Couldn't delete session", message: error.message });
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/30" onClick={onClose}>
+      <div
+        className="h-full w-full md:w-[860px] bg-white dark:bg-dark-surface shadow-xl flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-secondary-200 dark:border-dark-border">
+          <h2 className="text-lg font-semibold">Conversation History</h2>
+          <button onClick={onClose} className="text-secondary-500 hover:text-secondary-700 dark:hover:text-white" aria-label="Close">
+            <X height={18} />
+          </button>
+        </div>
+
+        <div className="flex flex-1 min-h-0">
+          <div className="w-64 flex-shrink-0 flex flex-col border-r border-secondary-200 dark:border-dark-border">
+            <div className="p-3">
+              <input
+                type="search"
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                placeholder="Search messages and tools..."
+                aria-label="Search history"
+                className={inputClassName}
+              />
+            </div>
+            <ul className="flex-1 overflow-y-auto">
+              {filtered.map((record) => (
+                <li key={record.id}>
+                  <button
+                    onClick={() => setSelectedId(record.id)}
+                    className={`w-full text-left px-3 py-2 border-b border-secondary-100 dark:border-dark-border ${
+                      record.id === selectedId
+                        ? "bg-blue-50 dark:bg-blue-900/30"
+                        : "hover:bg-secondary-50 dark:hover:bg-dark-surface-alt"
+                    }`}
+                  >
+                    <div className="text-sm truncate">{record.title}</div>
+                    <div className="text-xs text-secondary-500 dark:text-dark-text-secondary">
+                      {new Date(record.startedAt).toLocaleString()} · {record.items.length} items
+                    </div>
+                  </button>
+                </li>
+              ))}
+              {!isLoading && filtered.length === 0 && (
+                <li className="px-3 py-2 text-sm text-secondary-500 dark:text-dark-text-secondary">
+                  {query ? "No sessions match your search." : "No saved sessions yet."}
+                </li>
+              )}
+            </ul>
+          </div>
+
+          <div className="flex-1 min-w-0">
+            {selected ? (
+              <SessionDetail
+                record={selected}
+                onRename={handleRename}
+                onDelete={handleDelete}
+                onResume={onResume}
+                canResume={canResume}
+              />
+            ) : (
+              <p className="p-4 text-sm text-secondary-500 dark:text-dark-text-secondary">Select a session to view it.</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
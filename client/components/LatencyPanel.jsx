@@ -0,0 +1,128 @@
+import { useMemo, useState } from "react";
+import { ChevronDown, ChevronUp, Clock, Download } from "react-feather";
+import {
+  LATENCY_METRICS,
+  getTurnLatencies,
+  getMetricValues,
+  summarizeLatency,
+  buildHistogram,
+  formatLatency,
+  buildLatencyCsv,
+} from "../lib/latency";
+import { downloadText } from "../lib/download";
+
+// Bar chart of how many turns fell in each latency bucket
+function Histogram({ buckets }) {
+  const width = 240;
+  const height = 60;
+  const maxCount = Math.max(...buckets.map((bucket) => bucket.count), 1);
+  const barWidth = width / buckets.length;
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" className="w-full h-16">
+        {buckets.map((bucket, i) => {
+          const barHeight = (bucket.count / maxCount) * (height - 2);
+          return (
+            <rect
+              key={bucket.fromMs}
+              x={i * barWidth + 1}
+              y={height - barHeight}
+              width={Math.max(1, barWidth - 2)}
+              height={barHeight}
+              className="fill-blue-500 dark:fill-blue-400"
+            >
+              <title>{`${formatLatency(bucket.fromMs)} – ${formatLatency(bucket.toMs)}: ${bucket.count}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div className="flex justify-between text-[10px] font-mono text-secondary-500 dark:text-dark-text-secondary">
+        <span>{formatLatency(buckets[0].fromMs)}</span>
+        <span>{formatLatency(buckets[buckets.length - 1].toMs)}</span>
+      </div>
+    </div>
+  );
+}
+
+// Per-turn latency for the session: summary, histogram per metric and CSV export
+export default function LatencyPanel({ events }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [metricId, setMetricId] = useState("toFirstDeltaMs");
+
+  const turns = useMemo(() => getTurnLatencies(events), [events]);
+  const values = useMemo(() => getMetricValues(turns, metricId), [turns, metricId]);
+  const headline = summarizeLatency(getMetricValues(turns, "toFirstDeltaMs"));
+
+  if (turns.length === 0) return null;
+
+  const summary = summarizeLatency(values);
+
+  function handleDownload() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+    downloadText(buildLatencyCsv(turns), `turn-latency-${stamp}.csv`, "text/csv");
+  }
+
+  return (
+    <div className="rounded-md border border-secondary-200 dark:border-dark-border bg-secondary-50 dark:bg-dark-surface text-sm">
+      <button
+        onClick={() => setIsExpanded(!isExpanded)}
+        className="w-full flex items-center gap-2 px-4 py-2 text-left"
+        aria-expanded={isExpanded}
+      >
+        <Clock height={14} className="flex-shrink-0 text-secondary-500 dark:text-dark-text-secondary" />
+        <span className="font-medium">Latency</span>
+        <span className="flex-1 truncate text-xs text-secondary-600 dark:text-dark-text-secondary">
+          {turns.length} turns
+          {headline && ` · first audio/text median ${formatLatency(headline.median)}, p90 ${formatLatency(headline.p90)}`}
+        </span>
+        {isExpanded ? <ChevronUp height={14} /> : <ChevronDown height={14} />}
+      </button>
+
+      {isExpanded && (
+        <div className="px-4 pb-3 space-y-3">
+          <div className="flex flex-wrap gap-1">
+            {LATENCY_METRICS.map((metric) => (
+              <button
+                key={metric.id}
+                onClick={() => setMetricId(metric.id)}
+                className={`px-2 py-1 text-xs rounded ${
+                  metricId === metric.id
+                    ? "bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300"
+                    : "text-secondary-600 dark:text-dark-text-secondary hover:bg-secondary-100 dark:hover:bg-dark-surface-alt"
+                }`}
+              >
+                {metric.name}
+              </button>
+            ))}
+          </div>
+
+          {summary ? (
+            <>
+              <dl className="grid grid-cols-5 gap-2 text-xs">
+                {["count", "min", "median", "p90", "max"].map((key) => (
+                  <div key={key}>
+                    <dt className="text-secondary-500 dark:text-dark-text-secondary">{key}</dt>
+                    <dd className="font-mono">{key === "count" ? summary.count : formatLatency(summary[key])}</dd>
+                  </div>
+                ))}
+              </dl>
+              <Histogram buckets={buildHistogram(values)} />
+            </>
+          ) : (
+            <p className="text-xs text-secondary-500 dark:text-dark-text-secondary">
+              No measurements yet - turns are timed from speech_stopped or the app's response.create.
+            </p>
+          )}
+
+          <button
+            onClick={handleDownload}
+            className="inline-flex items-center gap-1 text-xs px-2 py-1 rounded bg-secondary-100 dark:bg-dark-surface-alt hover:bg-secondary-200 dark:hover:bg-dark-border"
+          >
+            <Download height={12} /> Download per-turn CSV
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+import { useEffect, useState } from "react";
+import { AlertCircle, AlertTriangle, Info, X } from "react-feather";
+import { NOTIFICATION_EVENT, ERROR_CATEGORIES, focusEvent } from "../lib/notifications";
+
+const MAX_VISIBLE = 5;
+const AUTO_DISMISS_MS = { info: 5000, warning: 10000 }; // Errors stay until dismissed
+const DUPLICATE_WINDOW_MS = 3000; // Identical notifications this close together are merged
+
+const LEVEL_STYLES = {
+  error: {
+    icon: AlertCircle,
+    className: "border-red-300 dark:border-red-800 bg-red-50 dark:bg-red-950/60 text-red-900 dark:text-red-200",
+  },
+  warning: {
+    icon: AlertTriangle,
+    className: "border-amber-300 dark:border-amber-800 bg-amber-50 dark:bg-amber-950/60 text-amber-900 dark:text-amber-200",
+  },
+  info: {
+    icon: Info,
+    className: "border-blue-300 dark:border-blue-800 bg-blue-50 dark:bg-blue-950/60 text-blue-900 dark:text-blue-200",
+  },
+};
+
+function Toast({ notification, onDismiss }) {
+  const { icon: Icon, className } = LEVEL_STYLES[notification.level] || LEVEL_STYLES.error;
+
+  useEffect(() => {
+    const delay = AUTO_DISMISS_MS[notification.level];
+    if (!delay) return;
+    const timer = setTimeout(() => onDismiss(notification.id), delay);
+    return () => clearTimeout(timer);
+  }, [notification.id, notification.count]);
+
+  return (
+    <div role="alert" className={`flex gap-2 p-3 rounded-md border shadow-lg text-sm ${className}`}>
+      <Icon height={16} className="flex-shrink-0 mt-0.5" />
+      <div className="flex-1 min-w-0">
+        <div className="flex items-baseline gap-2">
+          <span className="font-semibold">{notification.title}</span>
+          {notification.count > 1 && <span className="text-xs opacity-70">×{notification.count}</span>}
+        </div>
+        {notification.category && (
+          <div className="text-xs opacity-70">{ERROR_CATEGORIES[notification.category] || notification.category}</div>
+        )}
+        {notification.message && <p className="mt-1 break-words">{notification.message}</p>}
+        {notification.suggestion && <p className="mt-1 text-xs"><span className="font-medium">Try:</span> {notification.suggestion}</p>}
+        {notification.eventId && (
+          <button onClick={() => focusEvent(notification.eventId)} className="mt-1 text-xs underline hover:no-underline">
+            Show related event
+          </button>
+        )}
+      </div>
+      <button onClick={() => onDismiss(notification.id)} className="self-start opacity-60 hover:opacity-100" aria-label="Dismiss notification">
+        <X height={14} />
+      </button>
+    </div>
+  );
+}
+
+// Toast stack for notifications raised with notify()
+export default function Notifications() {
+  const [notifications, setNotifications] = useState([]);
+
+  useEffect(() => {
+    const handleNotification = (e) => {
+      const incoming = { ...e.detail, count: 1 };
+      setNotifications((prev) => {
+        const duplicate = prev.find((n) => (
+          n.title === incoming.title
+          && n.message === incoming.message
+          && incoming.createdAt - n.createdAt < DUPLICATE_WINDOW_MS
+        ));
+        if (duplicate) {
+          return prev.map((n) => (n === duplicate ? { ...n, count: n.count + 1, createdAt: incoming.createdAt } : n));
+        }
+        return [...prev, incoming].slice(-MAX_VISIBLE);
+      });
+    };
+
+    window.addEventListener(NOTIFICATION_EVENT, handleNotification);
+    return () => window.removeEventListener(NOTIFICATION_EVENT, handleNotification);
+  }, []);
+
+  const dismiss = (id) => setNotifications((prev) => prev.filter((n) => n.id !== id));
+
+  if (notifications.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-24 right-4 z-[60] w-[360px] max-w-[calc(100vw-2rem)] space-y-2">
+      {notifications.map((notification) => (
+        <Toast key={notification.id} notification={notification} onDismiss={dismiss} />
+      ))}
+    </div>
+  );
+}
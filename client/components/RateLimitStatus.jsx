@@ -0,0 +1,81 @@
+import { useEffect, useState } from "react";
+import { AlertTriangle } from "react-feather";
+import {
+  RATE_LIMIT_WARNING_RATIO,
+  getResetAt,
+  getLowLimits,
+  isLimitLow,
+  isLimitExhausted,
+} from "../lib/rateLimits";
+
+function formatSeconds(ms) {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+function LimitBar({ rateLimits, limit, now }) {
+  const ratio = limit.limit > 0 ? Math.max(0, Math.min(1, limit.remaining / limit.limit)) : 0;
+  const resetIn = getResetAt(rateLimits, limit) - now;
+  const hasReset = resetIn <= 0;
+  const barColor = isLimitExhausted(rateLimits, limit, now)
+    ? "bg-red-500"
+    : isLimitLow(limit) && !hasReset
+      ? "bg-amber-500"
+      : "bg-blue-500 dark:bg-blue-400";
+
+  return (
+    <div className="flex items-center gap-3 text-xs">
+      <span className="w-20 truncate text-secondary-600 dark:text-dark-text-secondary" title={limit.name}>{limit.name}</span>
+      <div className="flex-1 h-2 rounded-full bg-secondary-200 dark:bg-dark-border overflow-hidden">
+        <div className={`h-full ${barColor}`} style={{ width: `${hasReset ? 100 : Math.round(ratio * 100)}%` }} />
+      </div>
+      <span className="w-44 text-right font-mono">
+        {limit.remaining.toLocaleString()}/{limit.limit.toLocaleString()}
+        <span className="ml-1 text-secondary-500 dark:text-dark-text-secondary">
+          {hasReset ? "reset" : `resets in ${formatSeconds(resetIn)}`}
+        </span>
+      </span>
+    </div>
+  );
+}
+
+// Remaining/limit bars from the latest rate_limits.updated, plus a warning when running low
+export default function RateLimitStatus({ rateLimits }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  // Tick so the reset countdowns stay current
+  useEffect(() => {
+    if (!rateLimits) return;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [rateLimits]);
+
+  if (!rateLimits || rateLimits.limits.length === 0) return null;
+
+  const lowLimits = getLowLimits(rateLimits, now);
+
+  return (
+    <div className="space-y-2">
+      {lowLimits.length > 0 && (
+        <div className="flex items-start gap-2 px-4 py-2 rounded-md bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-300 text-sm">
+          <AlertTriangle height={16} className="flex-shrink-0 mt-0.5" />
+          <span>
+            {lowLimits.map((limit) => (
+              limit.remaining <= 0
+                ? `The ${limit.name} limit is used up`
+                : `Only ${limit.remaining.toLocaleString()} ${limit.name} left`
+            )).join(", ")}
+            {" "}(under {Math.round(RATE_LIMIT_WARNING_RATIO * 100)}% of the limit).
+            {lowLimits.some((limit) => limit.remaining <= 0) && " Automatic follow-up responses are paused until it resets."}
+          </span>
+        </div>
+      )}
+      <div className="px-4 py-2 rounded-md bg-secondary-50 dark:bg-dark-surface border border-secondary-200 dark:border-dark-border space-y-1">
+        {rateLimits.limits.map((limit) => (
+          <LimitBar key={limit.name} rateLimits={rateLimits} limit={limit} now={now} />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import { useMemo, useState } from "react";
+import { Download, X } from "react-feather";
+import { RECORDING_TRACKS, convertToWav } from "../lib/recorder";
+import { downloadBlob, downloadText } from "../lib/download";
+
+const linkClassName = "inline-flex items-center gap-1 text-xs px-2 py-1 rounded bg-secondary-100 dark:bg-dark-surface-alt hover:bg-secondary-200 dark:hover:bg-dark-border disabled:opacity-50";
+
+// Downloads offered after a recorded session ends
+export default function RecordingDownloads({ recording, onDismiss }) {
+  const [convertingTrack, setConvertingTrack] = useState(null);
+  const [error, setError] = useState(null);
+
+  const baseName = useMemo(() => {
+    const started = new Date(recording.startedAt).toISOString().replace(/[:.]/g, "-").slice(0, 19);
+    return `realtime-session-${started}`;
+  }, [recording.startedAt]);
+
+  const extension = recording.mimeType.includes("mp4") ? "m4a" : "webm";
+  const durationSeconds = Math.round((recording.endedAt - recording.startedAt) / 1000);
+
+  async function handleWavDownload(trackId) {
+    setConvertingTrack(trackId);
+    setError(null);
+    try {
+      const wav = await convertToWav(recording.tracks[trackId]);
+      downloadBlob(wav, `${baseName}-${trackId}.wav`);
+    } catch (conversionError) {
+      console.error("WAV conversion failed:", conversionError);
+      setError(`Could not convert to WAV: ${conversionError.message}`);
+    } finally {
+      setConvertingTrack(null);
+    }
+  }
+
+  function handleMarkersDownload() {
+    const data = {
+      recording_started_at: new Date(recording.startedAt).toISOString(),
+      recording_ended_at: new Date(recording.endedAt).toISOString(),
+      events: recording.markers,
+    };
+    downloadText(JSON.stringify(data, null, 2), `${baseName}-events.json`, "application/json");
+  }
+
+  return (
+    <div className="p-3 rounded-md border border-secondary-200 dark:border-dark-border bg-secondary-50 dark:bg-dark-surface">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold">Session recording ({durationSeconds}s)</h3>
+        <button onClick={onDismiss} className="text-secondary-500 hover:text-secondary-700 dark:hover:text-white" aria-label="Dismiss recording">
+          <X height={16} />
+        </button>
+      </div>
+      <div className="space-y-2">
+        {RECORDING_TRACKS.map((track) => (
+          <div key={track.id} className="flex items-center gap-2">
+            <span className="w-24 text-xs text-secondary-700 dark:text-dark-text-secondary">{track.name}</span>
+            <button
+              className={linkClassName}
+              onClick={() => downloadBlob(recording.tracks[track.id], `${baseName}-${track.id}.${extension}`)}
+              disabled={recording.tracks[track.id].size === 0}
+            >
+              <Download height={12} /> {extension === "webm" ? "WebM/Opus" : "M4A"}
+            </button>
+            <button
+              className={linkClassName}
+              onClick={() => handleWavDownload(track.id)}
+              disabled={convertingTrack !== null || recording.tracks[track.id].size === 0}
+            >
+              <Download height={12} /> {convertingTrack === track.id ? "Converting..." : "WAV"}
+            </button>
+          </div>
+        ))}
+        <div className="flex items-center gap-2">
+          <span className="w-24 text-xs text-secondary-700 dark:text-dark-text-secondary">Event markers</span>
+          <button className={linkClassName} onClick={handleMarkersDownload}>
+            <Download height={12} /> JSON
+          </button>
+        </div>
+      </div>
+      <p className="mt-2 text-xs text-secondary-500 dark:text-dark-text-secondary">
+        Event markers list every event with its offset into the recording, matching the "rec" times shown in the event log.
+      </p>
+      {error && <p className="mt-2 text-xs text-red-600 dark:text-red-400">{error}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,74 @@
+import { useEffect, useState } from "react";
+import { Film, Pause, Play, Square } from "react-feather";
+import Button from "./Button";
+import { REPLAY_SPEEDS } from "../lib/replayTransport";
+import { formatRecordingOffset } from "../lib/recorder";
+
+const PROGRESS_INTERVAL_MS = 250;
+
+// Replaces the session controls while an event log is replayed (see replayTransport.js)
+export default function ReplayControls({ transport, name, stopSession }) {
+  const [progress, setProgress] = useState(transport.progress);
+
+  // The transport doesn't report progress, so poll it
+  useEffect(() => {
+    setProgress(transport.progress);
+    const timer = setInterval(() => setProgress(transport.progress), PROGRESS_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [transport]);
+
+  function togglePause() {
+    if (progress.paused) transport.resume();
+    else transport.pause();
+    setProgress(transport.progress);
+  }
+
+  function changeSpeed(speed) {
+    transport.setSpeed(speed);
+    setProgress(transport.progress);
+  }
+
+  const percent = progress.total > 0 ? (progress.played / progress.total) * 100 : 0;
+
+  return (
+    <div className="flex items-center justify-center w-full h-full gap-4">
+      <Film height={18} className="flex-shrink-0 text-purple-500" />
+      <div className="flex-1 min-w-0 flex flex-col gap-1">
+        <div className="flex items-baseline gap-2 text-sm">
+          <span className="font-medium truncate" title={name}>Replaying {name}</span>
+          <span className="text-xs text-secondary-500 dark:text-dark-text-secondary whitespace-nowrap">
+            {progress.finished
+              ? `finished - ${progress.total} events`
+              : `${progress.played} / ${progress.total} events · ${formatRecordingOffset(progress.positionMs)} / ${formatRecordingOffset(progress.durationMs)}`}
+          </span>
+        </div>
+        <div className="h-1.5 rounded bg-secondary-200 dark:bg-dark-border overflow-hidden">
+          <div className="h-full bg-purple-500 transition-[width]" style={{ width: `${percent}%` }} />
+        </div>
+      </div>
+      <select
+        value={String(progress.speed)}
+        onChange={(e) => changeSpeed(Number(e.target.value))}
+        aria-label="Replay speed"
+        className="px-2 py-1 text-sm rounded border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface dark:text-dark-text"
+      >
+        {REPLAY_SPEEDS.map((speed) => (
+          <option key={speed.name} value={String(speed.value)}>{speed.name}</option>
+        ))}
+      </select>
+      {!progress.finished && (
+        <button
+          onClick={togglePause}
+          title={progress.paused ? "Resume the replay" : "Pause the replay"}
+          aria-label={progress.paused ? "Resume" : "Pause"}
+          className="p-2 rounded text-secondary-600 dark:text-dark-text-secondary hover:bg-secondary-100 dark:hover:bg-dark-surface-alt"
+        >
+          {progress.paused ? <Play height={16} /> : <Pause height={16} />}
+        </button>
+      )}
+      <Button onClick={stopSession} icon={<Square height={16} />} className="dark:bg-gray-700">
+        stop replay
+      </Button>
+    </div>
+  );
+}
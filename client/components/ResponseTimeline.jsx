@@ -0,0 +1,113 @@
+import { useMemo } from "react";
+import { TIMELINE_KINDS, getResponseTimelines } from "../lib/timeline";
+import { formatLatency } from "../lib/latency";
+
+const MAX_RESPONSES = 50; // Older responses are left out to keep the view light
+
+const BAR_CLASSES = {
+  trigger: "bg-gray-300 dark:bg-gray-600",
+  response: "bg-blue-500 dark:bg-blue-400",
+  message: "bg-green-500 dark:bg-green-400",
+  part: "bg-green-300 dark:bg-green-700",
+  function_call: "bg-amber-500 dark:bg-amber-400",
+  arguments: "bg-amber-300 dark:bg-amber-700",
+  tool: "bg-purple-500 dark:bg-purple-400",
+  output: "bg-pink-400 dark:bg-pink-500",
+};
+
+function Legend() {
+  return (
+    <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs text-secondary-600 dark:text-dark-text-secondary">
+      {TIMELINE_KINDS.map((kind) => (
+        <span key={kind.id} className="inline-flex items-center gap-1">
+          <span className={`inline-block w-3 h-2 rounded-sm ${BAR_CLASSES[kind.id]}`} />
+          {kind.name}
+        </span>
+      ))}
+      <span className="inline-flex items-center gap-1">
+        <span className="inline-block w-0.5 h-3 bg-secondary-900 dark:bg-white" />
+        Marker (first delta, output received)
+      </span>
+    </div>
+  );
+}
+
+// One response as a waterfall: a label column and a track scaled to the response's span
+function ResponseWaterfall({ timeline }) {
+  const span = Math.max(1, timeline.endMs - timeline.startMs);
+  const position = (ms) => ((ms - timeline.startMs) / span) * 100;
+
+  return (
+    <div className="rounded-md border border-secondary-200 dark:border-dark-border bg-secondary-50 dark:bg-dark-surface p-3 text-xs">
+      <div className="flex items-baseline gap-2 mb-2">
+        <span className="font-mono font-medium truncate">{timeline.responseId}</span>
+        <span className="text-secondary-500 dark:text-dark-text-secondary">
+          {timeline.isOpen ? "in progress" : timeline.status} · {formatLatency(timeline.endMs - timeline.startMs)}
+        </span>
+        <span className="ml-auto text-secondary-500 dark:text-dark-text-secondary">
+          {new Date(timeline.startMs).toLocaleTimeString()}
+        </span>
+      </div>
+      <div className="space-y-1">
+        {timeline.bars.map((bar) => (
+          <div key={bar.id} className="flex items-center gap-2">
+            <div
+              className="w-48 flex-shrink-0 truncate font-mono text-secondary-700 dark:text-dark-text-secondary"
+              style={{ paddingLeft: bar.depth * 12 }}
+              title={bar.detail ? `${bar.label} (${bar.detail})` : bar.label}
+            >
+              {bar.label}
+            </div>
+            <div className="relative flex-1 h-4">
+              <div
+                className={`absolute top-0.5 h-3 rounded-sm ${BAR_CLASSES[bar.kind]} ${bar.isOpen ? "opacity-60 animate-pulse" : ""}`}
+                style={{ left: `${position(bar.startMs)}%`, width: `max(2px, ${position(bar.endMs) - position(bar.startMs)}%)` }}
+                title={`${bar.label}: ${formatLatency(bar.endMs - bar.startMs)}${bar.isOpen ? " so far" : ""}`}
+              />
+              {bar.markers.map((marker) => (
+                <div
+                  key={marker.label}
+                  className="absolute top-0 h-4 w-0.5 bg-secondary-900 dark:bg-white"
+                  style={{ left: `${position(marker.ms)}%` }}
+                  title={`${marker.label} at +${formatLatency(marker.ms - bar.startMs)}`}
+                />
+              ))}
+            </div>
+            <div className="w-16 flex-shrink-0 text-right font-mono text-secondary-500 dark:text-dark-text-secondary">
+              {formatLatency(bar.endMs - bar.startMs)}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between mt-1 ml-[12.5rem] mr-[4.5rem] font-mono text-[10px] text-secondary-500 dark:text-dark-text-secondary">
+        <span>0</span>
+        <span>{formatLatency(span / 2)}</span>
+        <span>{formatLatency(span)}</span>
+      </div>
+    </div>
+  );
+}
+
+// Timeline view: a waterfall per response, newest first, including ToolPanel's tool runs
+export default function ResponseTimeline({ events, toolExecutions }) {
+  const timelines = useMemo(() => getResponseTimelines(events, toolExecutions), [events, toolExecutions]);
+
+  if (timelines.length === 0) {
+    return <div className="text-gray-500 dark:text-gray-400">No responses yet.</div>;
+  }
+
+  const shown = timelines.slice(-MAX_RESPONSES).reverse();
+  return (
+    <div className="flex flex-col gap-3">
+      <Legend />
+      {shown.map((timeline) => (
+        <ResponseWaterfall key={timeline.responseId} timeline={timeline} />
+      ))}
+      {timelines.length > shown.length && (
+        <div className="text-xs text-secondary-500 dark:text-dark-text-secondary">
+          {timelines.length - shown.length} older responses not shown.
+        </div>
+      )}
+    </div>
+  );
+}
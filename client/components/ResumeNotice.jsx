@@ -0,0 +1,38 @@
+import { useState } from "react";
+import { CornerUpLeft, X } from "react-feather";
+
+// Explains what was carried over from a resumed conversation
+export default function ResumeNotice({ resumeInfo, onDismiss }) {
+  const [showSummary, setShowSummary] = useState(false);
+
+  const notes = [
+    resumeInfo.droppedCount > 0 && `${resumeInfo.droppedCount} older messages condensed into a summary`,
+    resumeInfo.trimmedLatest && "the latest message was cut to fit",
+    resumeInfo.skippedToolCalls > 0 && `${resumeInfo.skippedToolCalls} tool calls not carried over`,
+    resumeInfo.skippedAudio > 0 && `${resumeInfo.skippedAudio} untranscribed audio turns skipped`,
+  ].filter(Boolean);
+
+  return (
+    <div className="px-4 py-2 rounded-md bg-indigo-50 dark:bg-indigo-900/30 text-indigo-900 dark:text-indigo-200 text-sm">
+      <div className="flex items-start gap-2">
+        <CornerUpLeft height={16} className="flex-shrink-0 mt-0.5" />
+        <div className="flex-1">
+          Resumed from <span className="font-medium">{resumeInfo.title}</span>: carried over{" "}
+          {resumeInfo.carriedCount} messages (about {resumeInfo.estimatedTokens.toLocaleString()} tokens)
+          {notes.length > 0 && <span className="opacity-80"> - {notes.join(", ")}</span>}.
+          {resumeInfo.summary && (
+            <button onClick={() => setShowSummary(!showSummary)} className="ml-1 text-xs underline hover:no-underline">
+              {showSummary ? "Hide summary" : "Show summary"}
+            </button>
+          )}
+        </div>
+        <button onClick={onDismiss} className="opacity-60 hover:opacity-100" aria-label="Dismiss">
+          <X height={14} />
+        </button>
+      </div>
+      {showSummary && (
+        <pre className="mt-2 p-2 text-xs rounded bg-white/60 dark:bg-black/20 whitespace-pre-wrap">{resumeInfo.summary}</pre>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,72 @@
-import { useState } from "react";
-import { CloudLightning, CloudOff, MessageSquare } from "react-feather";
+import { useState, useEffect, useRef } from "react";
+import { CloudLightning, CloudOff, Film, MessageSquare, Mic, Settings, Sliders, Square } from "react-feather";
+import { ChevronDown, ChevronUp } from "lucide-react";
 import Button from "./Button";
+import TurnDetectionSettings from "./TurnDetectionSettings";
+import ReplayControls from "./ReplayControls";
+import { REPLAY_SPEEDS } from "../lib/replayTransport";
+import {
+  DEFAULT_TURN_DETECTION,
+  DEFAULT_TRANSCRIPTION,
+  TRANSCRIPTION_MODELS,
+  TRANSCRIPTION_LANGUAGES,
+  VOICES,
+  buildTurnDetection,
+  validateTurnDetection,
+} from "../lib/sessionConfig";
 
-function SessionStopped({ startSession }) {
+// Pick an exported event log (JSONL) to replay offline
+function ReplayLauncher({ startReplay, disabled }) {
+  const [speed, setSpeed] = useState(1);
+  const fileInput = useRef(null);
+
+  function handleFile(e) {
+    const file = e.target.files[0];
+    e.target.value = ""; // Allow picking the same file again
+    if (file) startReplay(file, speed);
+  }
+
+  return (
+    <div className="flex items-center gap-2 text-sm text-secondary-700 dark:text-dark-text-secondary">
+      <button
+        onClick={() => fileInput.current?.click()}
+        disabled={disabled}
+        title="Play an exported event log through the app without connecting, to reproduce a session"
+        className="inline-flex items-center gap-1 hover:underline disabled:opacity-50"
+      >
+        <Film height={14} /> Replay an event log...
+      </button>
+      <select
+        value={String(speed)}
+        onChange={(e) => setSpeed(Number(e.target.value))}
+        disabled={disabled}
+        aria-label="Replay speed"
+        className="px-2 py-1 text-xs rounded border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface dark:text-dark-text"
+      >
+        {REPLAY_SPEEDS.map((entry) => (
+          <option key={entry.name} value={String(entry.value)}>{entry.name}</option>
+        ))}
+      </select>
+      <input ref={fileInput} type="file" accept=".jsonl,.ndjson,application/x-ndjson" onChange={handleFile} className="hidden" />
+    </div>
+  );
+}
+
+function SessionStopped({
+  startSession,
+  startReplay,
+  turnDetection,
+  setTurnDetection,
+  textOnly,
+  setTextOnly,
+  transcription,
+  setTranscription,
+}) {
   const [isActivating, setIsActivating] = useState(false);
   const [selectedVoice, setSelectedVoice] = useState("verse"); // Default voice
+  const [transport, setTransport] = useState("webrtc"); // WebRTC or server WebSocket relay
+  const [isTurnDetectionExpanded, setIsTurnDetectionExpanded] = useState(false);
+  const [record, setRecord] = useState(false); // Record mic + assistant audio for download
   const [instructions, setInstructions] = useState(
     `You are a helpful assistant with access to several tools.
 
@@ -80,22 +142,11 @@ IMPORTANT: For webhook calls, follow these rules exactly:
 
 When in doubt, prefer using a tool to answer the user's request, and follow the exact field structure defined in the tool's parameters.`;
 
-  const voices = [
-    { id: "alloy", name: "Alloy (Female)" },
-    { id: "ash", name: "Ash (Male)" },
-    { id: "ballad", name: "Ballad (Male)" },
-    { id: "coral", name: "Coral (Female)" },
-    { id: "echo", name: "Echo (Male)" },
-    { id: "sage", name: "Sage (Female)" },
-    { id: "shimmer", name: "Shimmer (Female)" },
-    { id: "verse", name: "Verse (Male)" },
-  ];
-
   function handleStartSession() {
     if (isActivating) return;
 
     setIsActivating(true);
-    startSession(selectedVoice, instructions); // Pass system prompt to startSession
+    startSession(selectedVoice, instructions, { transport, turnDetection, textOnly, record, transcription }); // Pass system prompt to startSession
   }
 
   return (
@@ -111,12 +162,50 @@ When in doubt, prefer using a tool to answer the user's request, and follow the
           disabled={isActivating}
           className="px-2 py-1 text-sm rounded border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface dark:text-dark-text"
         >
-          {voices.map(voice => (
+          {VOICES.map(voice => (
             <option key={voice.id} value={voice.id}>
               {voice.name}
             </option>
           ))}
         </select>
+        <label htmlFor="transport-select" className="ml-4 text-sm text-secondary-700 dark:text-dark-text-secondary">
+          Connection:
+        </label>
+        <select
+          id="transport-select"
+          value={transport}
+          onChange={(e) => setTransport(e.target.value)}
+          disabled={isActivating}
+          title="Use the WebSocket relay on networks that block WebRTC (UDP/TURN)"
+          className="px-2 py-1 text-sm rounded border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface dark:text-dark-text"
+        >
+          <option value="webrtc">WebRTC</option>
+          <option value="websocket">WebSocket relay</option>
+        </select>
+        <label
+          className="ml-4 flex items-center gap-1 text-sm text-secondary-700 dark:text-dark-text-secondary"
+          title="Chat by text without a microphone - the model replies in text"
+        >
+          <input
+            type="checkbox"
+            checked={textOnly}
+            onChange={(e) => setTextOnly(e.target.checked)}
+            disabled={isActivating}
+          />
+          Text only
+        </label>
+        <label
+          className="ml-4 flex items-center gap-1 text-sm text-secondary-700 dark:text-dark-text-secondary"
+          title="Record the microphone and assistant audio; downloads are offered when the session ends"
+        >
+          <input
+            type="checkbox"
+            checked={record && !textOnly}
+            onChange={(e) => setRecord(e.target.checked)}
+            disabled={isActivating || textOnly}
+          />
+          Record audio
+        </label>
       </div>
       
       <div className="w-full max-w-xl mb-2">
@@ -150,6 +239,71 @@ When in doubt, prefer using a tool to answer the user's request, and follow the
           className="w-full px-2 py-1 text-sm rounded border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface dark:text-dark-text h-24 resize-none"
         />
       </div>
+
+      <div className="w-full max-w-xl mb-2">
+        <button
+          onClick={() => setIsTurnDetectionExpanded(!isTurnDetectionExpanded)}
+          disabled={textOnly}
+          className="flex items-center gap-1 text-sm text-secondary-700 dark:text-dark-text-secondary"
+        >
+          {isTurnDetectionExpanded ? <ChevronUp className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+          Turn detection: {turnDetection.type === "semantic_vad" ? "semantic VAD" : "server VAD"}
+        </button>
+        {isTurnDetectionExpanded && !textOnly && (
+          <div className="mt-2 p-3 rounded border border-secondary-200 dark:border-dark-border">
+            <TurnDetectionSettings
+              value={turnDetection}
+              onChange={setTurnDetection}
+              disabled={isActivating}
+            />
+            <button
+              onClick={() => setTurnDetection(DEFAULT_TURN_DETECTION)}
+              className="mt-2 text-xs text-blue-600 dark:text-blue-400 hover:underline"
+              disabled={isActivating}
+            >
+              Reset to Default
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="w-full max-w-xl mb-2 flex flex-wrap items-center gap-2 text-sm text-secondary-700 dark:text-dark-text-secondary">
+        <label className="flex items-center gap-1" title="Show what the model heard as your messages in the transcript">
+          <input
+            type="checkbox"
+            checked={transcription.enabled && !textOnly}
+            onChange={(e) => setTranscription({ ...transcription, enabled: e.target.checked })}
+            disabled={isActivating || textOnly}
+          />
+          Transcribe my speech
+        </label>
+        {transcription.enabled && !textOnly && (
+          <>
+            <select
+              aria-label="Transcription model"
+              value={transcription.model}
+              onChange={(e) => setTranscription({ ...transcription, model: e.target.value })}
+              disabled={isActivating}
+              className="px-2 py-1 text-sm rounded border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface dark:text-dark-text"
+            >
+              {TRANSCRIPTION_MODELS.map((model) => (
+                <option key={model} value={model}>{model}</option>
+              ))}
+            </select>
+            <select
+              aria-label="Transcription language"
+              value={transcription.language}
+              onChange={(e) => setTranscription({ ...transcription, language: e.target.value })}
+              disabled={isActivating}
+              className="px-2 py-1 text-sm rounded border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface dark:text-dark-text"
+            >
+              {TRANSCRIPTION_LANGUAGES.map((language) => (
+                <option key={language.id} value={language.id}>{language.name}</option>
+              ))}
+            </select>
+          </>
+        )}
+      </div>
       
       <button
         onClick={handleStartSession}
@@ -163,20 +317,223 @@ When in doubt, prefer using a tool to answer the user's request, and follow the
         <CloudLightning size={18} />
         {isActivating ? "Starting session..." : "Start session"}
       </button>
+      <ReplayLauncher startReplay={startReplay} disabled={isActivating} />
     </div>
   );
 }
 
-function SessionActive({ stopSession, sendTextMessage }) {
+// Holds shorter than this are treated as accidental taps and discarded
+const MIN_PUSH_TO_TALK_MS = 200;
+// Keep the mic open briefly after release so the tail of the utterance reaches the server
+const PUSH_TO_TALK_RELEASE_DELAY_MS = 250;
+
+// Keyboard shortcuts are left alone while the user types in a field
+function isTyping(e) {
+  return ["INPUT", "TEXTAREA", "SELECT"].includes(e.target.tagName) || e.target.isContentEditable;
+}
+
+// Hold-to-talk button (also driven by holding the spacebar)
+function PushToTalkButton({ sendClientEvent, setMicEnabled }) {
+  const [isTalking, setIsTalking] = useState(false);
+  const talkStartedAt = useRef(null);
+  const releaseTimer = useRef(null); // Pending commit of the previous hold
+
+  function startTalking() {
+    if (talkStartedAt.current) return;
+    talkStartedAt.current = Date.now();
+    if (releaseTimer.current) {
+      // Pressed again before the previous hold was committed: carry on with the same turn
+      clearTimeout(releaseTimer.current);
+      releaseTimer.current = null;
+    } else {
+      // Drop whatever silence accumulated in the input buffer since the last turn
+      sendClientEvent({ type: "input_audio_buffer.clear" });
+    }
+    setMicEnabled(true);
+    setIsTalking(true);
+  }
+
+  function stopTalking(cancel = false) {
+    if (!talkStartedAt.current) return;
+    const heldFor = Date.now() - talkStartedAt.current;
+    talkStartedAt.current = null;
+    setIsTalking(false);
+
+    if (cancel || heldFor < MIN_PUSH_TO_TALK_MS) {
+      setMicEnabled(false);
+      sendClientEvent({ type: "input_audio_buffer.clear" });
+      return;
+    }
+
+    releaseTimer.current = setTimeout(() => {
+      releaseTimer.current = null;
+      setMicEnabled(false);
+      sendClientEvent({ type: "input_audio_buffer.commit" });
+      sendClientEvent({ type: "response.create" });
+    }, PUSH_TO_TALK_RELEASE_DELAY_MS);
+  }
+
+  // Spacebar to talk, Escape to cancel - ignored while typing in a field
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.code === "Space" && !isTyping(e)) {
+        e.preventDefault();
+        if (!e.repeat) startTalking();
+      } else if (e.key === "Escape" && talkStartedAt.current) {
+        // Escape while holding cancels the turn instead of interrupting the assistant
+        e.stopPropagation();
+        stopTalking(true);
+      }
+    };
+    const handleKeyUp = (e) => {
+      if (e.code === "Space" && !isTyping(e)) {
+        e.preventDefault();
+        stopTalking();
+      }
+    };
+
+    // Capture phase, so this runs before the interrupt shortcut in SessionActive
+    window.addEventListener("keydown", handleKeyDown, true);
+    window.addEventListener("keyup", handleKeyUp, true);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown, true);
+      window.removeEventListener("keyup", handleKeyUp, true);
+    };
+  });
+
+  useEffect(() => () => clearTimeout(releaseTimer.current), []);
+
+  return (
+    <button
+      onPointerDown={(e) => {
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+        startTalking();
+      }}
+      onPointerUp={() => stopTalking()}
+      onPointerCancel={() => stopTalking(true)}
+      title="Hold to talk (or hold the spacebar). Press Escape while holding to cancel."
+      className={`flex items-center gap-1 rounded-full p-4 text-white select-none touch-none ${
+        isTalking ? "bg-red-600 dark:bg-red-700" : "bg-gray-800 dark:bg-gray-900 hover:opacity-90"
+      }`}
+    >
+      <Mic height={16} />
+      {isTalking ? "release to send" : "hold to talk"}
+    </button>
+  );
+}
+
+function SessionActive({
+  stopSession,
+  sendClientEvent,
+  sendTextMessage,
+  updateSession,
+  setMicEnabled,
+  turnDetection,
+  setTurnDetection,
+  textOnly,
+  onOpenSettings,
+  interruptResponse,
+}) {
   const [message, setMessage] = useState("");
+  const [turnMode, setTurnMode] = useState("vad"); // "vad" or "push_to_talk"
+  const [showVadSettings, setShowVadSettings] = useState(false);
+  const [vadDraft, setVadDraft] = useState(turnDetection);
 
   function handleSendClientEvent() {
     sendTextMessage(message);
     setMessage("");
   }
 
+  function handleTurnModeChange(mode) {
+    setTurnMode(mode);
+    if (mode === "push_to_talk") {
+      // Turn off server VAD; turns are committed manually when the button is released
+      updateSession({ turn_detection: null });
+      setMicEnabled(false);
+    } else {
+      updateSession({ turn_detection: buildTurnDetection(turnDetection) });
+      setMicEnabled(true);
+    }
+  }
+
+  // Escape interrupts the assistant (barge-in), unless it's meant for a field being typed in
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape" && !e.defaultPrevented && !isTyping(e)) {
+        interruptResponse();
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  });
+
+  // Apply edited VAD parameters to the live session (not while any of them is invalid)
+  function applyVadSettings() {
+    if (validateTurnDetection(vadDraft)) return;
+    setTurnDetection(vadDraft);
+    updateSession({ turn_detection: buildTurnDetection(vadDraft) });
+    setShowVadSettings(false);
+  }
+
   return (
-    <div className="flex items-center justify-center w-full h-full gap-4">
+    <div className="relative flex items-center justify-center w-full h-full gap-4">
+      {showVadSettings && turnMode === "vad" && (
+        <div className="absolute bottom-full left-0 mb-2 z-30 w-80 p-3 rounded-md shadow-lg border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface">
+          <h3 className="text-sm font-semibold mb-2">Turn detection</h3>
+          <TurnDetectionSettings value={vadDraft} onChange={setVadDraft} />
+          <div className="flex justify-end gap-2 mt-3">
+            <button
+              onClick={() => {
+                setVadDraft(turnDetection);
+                setShowVadSettings(false);
+              }}
+              className="text-xs text-gray-600 dark:text-gray-400 hover:underline"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={applyVadSettings}
+              disabled={!!validateTurnDetection(vadDraft)}
+              className="text-xs px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Apply
+            </button>
+          </div>
+        </div>
+      )}
+      {!textOnly && (
+        <select
+          value={turnMode}
+          onChange={(e) => handleTurnModeChange(e.target.value)}
+          title="How turns are detected"
+          className="px-2 py-1 text-sm rounded border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface dark:text-dark-text"
+        >
+          <option value="vad">Voice activity</option>
+          <option value="push_to_talk">Push to talk</option>
+        </select>
+      )}
+      {turnMode === "vad" && !textOnly && (
+        <button
+          onClick={() => {
+            setVadDraft(turnDetection);
+            setShowVadSettings(!showVadSettings);
+          }}
+          title="Tune turn detection"
+          className="p-2 rounded text-secondary-600 dark:text-dark-text-secondary hover:bg-secondary-100 dark:hover:bg-dark-surface-alt"
+        >
+          <Sliders height={16} />
+        </button>
+      )}
+      <button
+        onClick={onOpenSettings}
+        title="Session settings"
+        className="p-2 rounded text-secondary-600 dark:text-dark-text-secondary hover:bg-secondary-100 dark:hover:bg-dark-surface-alt"
+      >
+        <Settings height={16} />
+      </button>
+      {turnMode === "push_to_talk" && (
+        <PushToTalkButton sendClientEvent={sendClientEvent} setMicEnabled={setMicEnabled} />
+      )}
       <input
         onKeyDown={(e) => {
           if (e.key === "Enter" && message.trim()) {
@@ -200,6 +557,13 @@ function SessionActive({ stopSession, sendTextMessage }) {
       >
         send text
       </Button>
+      <Button
+        onClick={interruptResponse}
+        icon={<Square height={16} />}
+        className="bg-amber-500 dark:bg-amber-600"
+      >
+        interrupt
+      </Button>
       <Button 
         onClick={stopSession} 
         icon={<CloudOff height={16} />}
@@ -211,26 +575,56 @@ function SessionActive({ stopSession, sendTextMessage }) {
   );
 }
 
+// `replay` ({ transport, name }) is set while an event log is being replayed
 export default function SessionControls({
   startSession,
+  startReplay,
   stopSession,
   sendClientEvent,
   sendTextMessage,
+  updateSession,
+  setMicEnabled,
+  onOpenSettings,
+  interruptResponse,
   serverEvents,
   isSessionActive,
+  replay = null,
   className = "",
 }) {
+  // Kept here so the settings chosen before connecting are also used for live changes
+  const [turnDetection, setTurnDetection] = useState(DEFAULT_TURN_DETECTION);
+  const [textOnly, setTextOnly] = useState(false);
+  const [transcription, setTranscription] = useState(DEFAULT_TRANSCRIPTION);
+
   return (
     <div className={`flex gap-4 h-full rounded-md ${className}`}>
-      {isSessionActive ? (
+      {isSessionActive && replay ? (
+        <ReplayControls transport={replay.transport} name={replay.name} stopSession={stopSession} />
+      ) : isSessionActive ? (
         <SessionActive
           stopSession={stopSession}
           sendClientEvent={sendClientEvent}
           sendTextMessage={sendTextMessage}
+          updateSession={updateSession}
+          setMicEnabled={setMicEnabled}
+          turnDetection={turnDetection}
+          setTurnDetection={setTurnDetection}
+          textOnly={textOnly}
+          onOpenSettings={onOpenSettings}
+          interruptResponse={interruptResponse}
           serverEvents={serverEvents}
         />
       ) : (
-        <SessionStopped startSession={startSession} />
+        <SessionStopped
+          startSession={startSession}
+          startReplay={startReplay}
+          turnDetection={turnDetection}
+          setTurnDetection={setTurnDetection}
+          textOnly={textOnly}
+          setTextOnly={setTextOnly}
+          transcription={transcription}
+          setTranscription={setTranscription}
+        />
       )}
     </div>
   );
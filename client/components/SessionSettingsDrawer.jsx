@@ -0,0 +1,223 @@
+import { useEffect, useMemo, useState } from "react";
+import { X } from "react-feather";
+import {
+  VOICES,
+  TOOL_CHOICES,
+  TEMPERATURE_RANGE,
+  MAX_OUTPUT_TOKENS_RANGE,
+  clampMaxOutputTokens,
+  getConfirmedSession,
+  hasAssistantAudio,
+} from "../lib/sessionConfig";
+
+const inputClassName = "w-full px-2 py-1 text-sm rounded border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface dark:text-dark-text";
+const labelClassName = "block text-xs font-medium text-secondary-700 dark:text-dark-text-secondary mb-1";
+
+// Turn a confirmed session object into editable form values
+function toDraft(session) {
+  return {
+    instructions: session?.instructions || "",
+    temperature: session?.temperature ?? 0.8,
+    maxTokens: session?.max_response_output_tokens ?? "inf",
+    toolChoice: typeof session?.tool_choice === "string" ? session.tool_choice : "auto",
+    voice: session?.voice || "verse",
+  };
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null || value === "") return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+// Slide-over panel for changing the session while it's running
+export default function SessionSettingsDrawer({ isOpen, onClose, events, updateSession }) {
+  const confirmedSession = useMemo(() => getConfirmedSession(events), [events]);
+  const voiceLocked = useMemo(() => hasAssistantAudio(events), [events]);
+  const lastError = useMemo(() => events.find((e) => e.type === "error"), [events]);
+  const [draft, setDraft] = useState(() => toDraft(confirmedSession));
+  const [isApplying, setIsApplying] = useState(false);
+
+  // Start from what the server has actually applied whenever the drawer opens
+  useEffect(() => {
+    if (isOpen) {
+      setDraft(toDraft(confirmedSession));
+    }
+  }, [isOpen]);
+
+  // The next session.updated confirms (or corrects) what we sent; an error rejects it
+  useEffect(() => {
+    setIsApplying(false);
+  }, [confirmedSession, lastError]);
+
+  if (!isOpen) return null;
+
+  const update = (field, value) => setDraft({ ...draft, [field]: value });
+
+  function handleApply() {
+    const current = toDraft(confirmedSession);
+    const session = {};
+
+    // Only send what changed so we don't clobber settings made elsewhere
+    if (draft.instructions !== current.instructions) session.instructions = draft.instructions;
+    if (Number(draft.temperature) !== Number(current.temperature)) session.temperature = Number(draft.temperature);
+    const maxTokens = clampMaxOutputTokens(draft.maxTokens);
+    if (String(maxTokens) !== String(current.maxTokens)) session.max_response_output_tokens = maxTokens;
+    if (draft.toolChoice !== current.toolChoice) session.tool_choice = draft.toolChoice;
+    if (!voiceLocked && draft.voice !== current.voice) session.voice = draft.voice;
+
+    if (Object.keys(session).length === 0) return;
+
+    setIsApplying(true);
+    updateSession(session);
+  }
+
+  const confirmedRows = [
+    ["Voice", confirmedSession?.voice],
+    ["Temperature", confirmedSession?.temperature],
+    ["Max output tokens", confirmedSession?.max_response_output_tokens],
+    ["Tool choice", confirmedSession?.tool_choice],
+    ["Tools", confirmedSession?.tools?.map((tool) => tool.name).join(", ")],
+    ["Modalities", confirmedSession?.modalities?.join(", ")],
+    ["Turn detection", confirmedSession?.turn_detection?.type ?? (confirmedSession ? "none" : undefined)],
+    ["Input transcription", confirmedSession?.input_audio_transcription ?? (confirmedSession ? "off" : undefined)],
+  ];
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/30" onClick={onClose}>
+      <div
+        className="h-full w-full sm:w-[420px] bg-white dark:bg-dark-surface shadow-xl flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-secondary-200 dark:border-dark-border">
+          <h2 className="text-lg font-semibold">Session Settings</h2>
+          <button onClick={onClose} className="text-secondary-500 hover:text-secondary-700 dark:hover:text-white" aria-label="Close">
+            <X height={18} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          <div>
+            <label htmlFor="live-instructions" className={labelClassName}>System Instructions</label>
+            <textarea
+              id="live-instructions"
+              value={draft.instructions}
+              onChange={(e) => update("instructions", e.target.value)}
+              className={`${inputClassName} h-40 resize-y`}
+            />
+          </div>
+
+          <div>
+            <label htmlFor="live-temperature" className={labelClassName}>
+              Temperature ({Number(draft.temperature).toFixed(2)})
+            </label>
+            <input
+              id="live-temperature"
+              type="range"
+              min={TEMPERATURE_RANGE.min}
+              max={TEMPERATURE_RANGE.max}
+              step="0.05"
+              value={draft.temperature}
+              onChange={(e) => update("temperature", Number(e.target.value))}
+              className="w-full"
+            />
+          </div>
+
+          <div>
+            <label htmlFor="live-max-tokens" className={labelClassName}>Max response output tokens</label>
+            <div className="flex items-center gap-3">
+              <input
+                id="live-max-tokens"
+                type="number"
+                min={MAX_OUTPUT_TOKENS_RANGE.min}
+                max={MAX_OUTPUT_TOKENS_RANGE.max}
+                value={draft.maxTokens === "inf" ? "" : draft.maxTokens}
+                placeholder="unlimited"
+                disabled={draft.maxTokens === "inf"}
+                onChange={(e) => update("maxTokens", e.target.value === "" ? "inf" : Number(e.target.value))}
+                onBlur={() => update("maxTokens", clampMaxOutputTokens(draft.maxTokens))}
+                className={inputClassName}
+              />
+              <label className="flex items-center gap-1 text-xs whitespace-nowrap">
+                <input
+                  type="checkbox"
+                  checked={draft.maxTokens === "inf"}
+                  onChange={(e) => update("maxTokens", e.target.checked ? "inf" : MAX_OUTPUT_TOKENS_RANGE.max)}
+                />
+                Unlimited
+              </label>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="live-tool-choice" className={labelClassName}>Tool choice</label>
+              <select
+                id="live-tool-choice"
+                value={draft.toolChoice}
+                onChange={(e) => update("toolChoice", e.target.value)}
+                className={inputClassName}
+              >
+                {TOOL_CHOICES.map((choice) => (
+                  <option key={choice} value={choice}>{choice}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="live-voice" className={labelClassName}>Voice</label>
+              <select
+                id="live-voice"
+                value={draft.voice}
+                onChange={(e) => update("voice", e.target.value)}
+                disabled={voiceLocked}
+                title={voiceLocked ? "The voice can't be changed after the model has responded with audio" : undefined}
+                className={inputClassName}
+              >
+                {VOICES.map((voice) => (
+                  <option key={voice.id} value={voice.id}>{voice.name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {voiceLocked && (
+            <p className="text-xs text-secondary-500 dark:text-dark-text-secondary">
+              The voice is locked because the model has already responded with audio.
+            </p>
+          )}
+
+          <div className="rounded border border-secondary-200 dark:border-dark-border p-3">
+            <h3 className="text-sm font-semibold mb-2">Applied by server</h3>
+            {confirmedSession ? (
+              <dl className="grid grid-cols-[auto,1fr] gap-x-3 gap-y-1 text-xs">
+                {confirmedRows.map(([label, value]) => (
+                  <div key={label} className="contents">
+                    <dt className="text-secondary-500 dark:text-dark-text-secondary">{label}</dt>
+                    <dd className="font-mono break-words">{formatValue(value)}</dd>
+                  </div>
+                ))}
+              </dl>
+            ) : (
+              <p className="text-xs text-secondary-500 dark:text-dark-text-secondary">Waiting for session.created...</p>
+            )}
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-2 p-4 border-t border-secondary-200 dark:border-dark-border">
+          <button
+            onClick={() => setDraft(toDraft(confirmedSession))}
+            className="text-sm text-gray-600 dark:text-gray-400 hover:underline"
+          >
+            Revert
+          </button>
+          <button
+            onClick={handleApply}
+            disabled={isApplying}
+            className="text-sm px-4 py-2 rounded bg-blue-600 hover:bg-blue-700 disabled:bg-gray-500 text-white"
+          >
+            {isApplying ? "Waiting for session.updated..." : "Apply"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
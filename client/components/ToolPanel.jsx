@@ -3,6 +3,8 @@ import { AlertCircle } from "lucide-react"; // Only need AlertCircle here now
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { tools, getAllToolDefinitions } from '../lib/tools'; // Import from registry
+import { getRateLimitDelay } from '../lib/rateLimits';
+import { notify } from '../lib/notifications';
 import WebhookManager from './WebhookManager'; // Import the webhook manager
 import ClipboardManager from './ClipboardManager'; // Import the clipboard manager
 import ToolCallHistory from './ToolCallHistory'; // Import the tool call history component
@@ -451,25 +453,58 @@ const OutputComponents = {
 export default function ToolPanel({
   isSessionActive,
   sendClientEvent,
-  events,
+  subscribeToEvents, // subscribeToEvents(listener) from App: called with every event, returns an unsubscribe
   toolsAdded,
   setToolsAdded,
   activeToolCall, // The function_call event itself
   setActiveToolCall,
   envVars, // New prop for environment variables
+  rateLimits, // Latest rate_limits.updated, used to hold back automatic responses
+  recordedToolOutputs = null, // call_id -> output while replaying an event log; tools aren't run then
+  onToolExecution, // Called with { callId, name, startedMs, endedMs, status } when a tool starts and ends
 }) {
   const [toolResult, setToolResult] = useState(null); // Stores { type: 'search_results'/'error', data: ... }
   const [isLoadingTool, setIsLoadingTool] = useState(false);
   const [lastSentEnvHash, setLastSentEnvHash] = useState('');
   const [lastCallTime, setLastCallTime] = useState(0); // Track when the last call was made
   const [lastCallWasError, setLastCallWasError] = useState(false); // Track if the last call resulted in an error
+  const [throttledUntil, setThrottledUntil] = useState(null); // When a held-back response.create will be sent
+  const [hasSessionCreated, setHasSessionCreated] = useState(false); // session.created seen, tools can be sent
+  const pendingResponseTimer = useRef(null);
+  // Timers fire after later renders, so read the latest props through refs
+  const rateLimitsRef = useRef(rateLimits);
+  const sendClientEventRef = useRef(sendClientEvent);
+  rateLimitsRef.current = rateLimits;
+  sendClientEventRef.current = sendClientEvent;
 
-  // Generate the session update payload only once or when needed
+  // Send an automatic response.create, waiting for an exhausted rate limit to
+  // reset first. Only the latest request is kept while waiting.
+  const sendAutoResponseCreate = (event) => {
+    clearTimeout(pendingResponseTimer.current);
+    pendingResponseTimer.current = null;
+
+    const delay = getRateLimitDelay(rateLimitsRef.current);
+    if (delay <= 0) {
+      setThrottledUntil(null);
+      sendClientEventRef.current(event);
+      return;
+    }
+
+    console.warn(`Rate limit exhausted - holding response.create for ${Math.ceil(delay / 1000)}s`);
+    setThrottledUntil(Date.now() + delay);
+    // Check again when it fires, in case a newer rate_limits.updated arrived
+    pendingResponseTimer.current = setTimeout(() => sendAutoResponseCreate(event), delay);
+  };
+
+  // Drop a held-back response when the panel goes away
+  useEffect(() => () => clearTimeout(pendingResponseTimer.current), []);
+
+  // Generate the session update payload only once or when needed. No tool_choice: the
+  // default is "auto", and sending it would undo a choice made in the settings drawer.
   const sessionUpdatePayload = useMemo(() => ({
     type: "session.update",
     session: {
       tools: getAllToolDefinitions(), // Get definitions from registry
-      tool_choice: "auto",
     },
   }), [envVars]); // Re-generate when envVars change
 
@@ -480,26 +515,28 @@ export default function ToolPanel({
       setActiveToolCall(null);
       setToolResult(null);
       setIsLoadingTool(false);
+      clearTimeout(pendingResponseTimer.current);
+      pendingResponseTimer.current = null;
+      setThrottledUntil(null);
+      setHasSessionCreated(false);
       return;
     }
     
     // Create a hash of current env vars to detect real changes
     const envHash = JSON.stringify(envVars);
     
-    // Check for session created event
-    const sessionCreatedEvent = events.find(e => e.type === 'session.created');
-    const isSessionNew = sessionCreatedEvent && !toolsAdded;
+    const isSessionNew = hasSessionCreated && !toolsAdded;
     
     // Only send updates if:
     // 1. A new session is starting, OR
     // 2. Env vars changed and are different from what we last sent
     if (isSessionNew || (Object.keys(envVars).length > 0 && envHash !== lastSentEnvHash)) {
       // console.log("Updating tool definitions - new session or env vars changed");
-      sendClientEvent(sessionUpdatePayload);
+      sendClientEventRef.current(sessionUpdatePayload);
       setToolsAdded(true);
       setLastSentEnvHash(envHash);
     }
-  }, [isSessionActive, events, toolsAdded, sendClientEvent, setToolsAdded, setActiveToolCall, sessionUpdatePayload, envVars, lastSentEnvHash]);
+  }, [isSessionActive, hasSessionCreated, toolsAdded, setToolsAdded, setActiveToolCall, sessionUpdatePayload, envVars, lastSentEnvHash]);
 
   // Effect to resend tool definitions when an error occurs
   useEffect(() => {
@@ -576,10 +613,14 @@ export default function ToolPanel({
     }
   };
 
-  // Effect to handle incoming function calls from the AI
-  useEffect(() => {
-    const latestEvent = events[0];
-    if (latestEvent?.source === 'server' && latestEvent.response?.output?.[0]?.type === 'function_call') {
+  // Handle each event as App records it: note session.created and run incoming function calls.
+  // Reassigned every render so it sees the current state; the subscription below is made once.
+  const handleEvent = useRef(null);
+  handleEvent.current = (latestEvent) => {
+    if (latestEvent.source === 'server' && latestEvent.type === 'session.created') {
+      setHasSessionCreated(true);
+    }
+    if (latestEvent.source === 'server' && latestEvent.response?.output?.[0]?.type === 'function_call') {
       const functionCall = latestEvent.response.output[0];
       const callId = functionCall.call_id;
       const toolName = functionCall.name;
@@ -608,6 +649,30 @@ export default function ToolPanel({
       setLastCallTime(currentTime);
       setLastCallWasError(false); // Reset error status for new call
 
+      // Execution span for the response timeline. A replay doesn't run the tool, and its
+      // events carry recorded times, so there's no span to report then.
+      const startedMs = Date.now();
+      let executionStatus = 'success';
+      const reportExecution = (status) => !recordedToolOutputs && onToolExecution?.({
+        callId,
+        name: toolName,
+        startedMs,
+        endedMs: status === 'running' ? null : Date.now(),
+        status,
+      });
+      reportExecution('running');
+
+      const notifyToolFailure = (message, level = 'error') => {
+        notify({
+          level,
+          category: 'tool',
+          title: `${toolName} failed`,
+          message,
+          suggestion: 'The error was sent back to the model so it can recover. Check the tool settings if it keeps failing.',
+          eventId: latestEvent.event_id,
+        });
+      };
+
       const sendResult = (resultData) => {
         if (!callId) return; // Should not happen if we reach here
         
@@ -622,7 +687,7 @@ export default function ToolPanel({
         });
         
         // Then trigger the model to continue with response.create
-        sendClientEvent({
+        sendAutoResponseCreate({
           type: "response.create"
         });
       };
@@ -630,9 +695,16 @@ export default function ToolPanel({
       // Execute the tool's logic
       try {
         const args = JSON.parse(functionCall.arguments || '{}'); // Default to empty object if no args
-        
+
+        // A replay shows what the tool returned in the recorded session instead of running it again
+        const execute = () => {
+          if (!recordedToolOutputs) return tool.execute(args);
+          if (!recordedToolOutputs.has(callId)) return Promise.reject(new Error('The event log has no output for this call'));
+          return { status: 'success', content: recordedToolOutputs.get(callId) };
+        };
+
         // Use Promise.resolve to handle both sync and async execute functions
-        Promise.resolve(tool.execute(args))
+        Promise.resolve(execute())
           .then(result => {
             // Result should have { status: 'success', content: '...' }
             
@@ -652,7 +724,14 @@ export default function ToolPanel({
               
               // Set error flag if content indicates an error
               if (isError) {
+                executionStatus = 'error';
                 setLastCallWasError(true);
+                notifyToolFailure(
+                  typeof parsedContent?.error === 'string'
+                    ? parsedContent.error
+                    : parsedContent?.error?.message || parsedContent?.message || 'The tool returned an error result.',
+                  'warning',
+                );
               }
               
               // Add to history with appropriate status
@@ -667,7 +746,9 @@ export default function ToolPanel({
               
               // Set error flag if raw content indicates an error
               if (isRawError) {
+                executionStatus = 'error';
                 setLastCallWasError(true);
+                notifyToolFailure(String(result.content).slice(0, 200), 'warning');
               }
               
               // Add to history as is, but with appropriate status
@@ -680,7 +761,9 @@ export default function ToolPanel({
             console.error(`${toolName} execution failed:`, error.message);
             const errorData = { message: error.message || `Tool ${toolName} failed` };
             setToolResult({ type: 'error', data: errorData });
+            executionStatus = 'error';
             setLastCallWasError(true); // Mark that the last call resulted in an error
+            notifyToolFailure(errorData.message);
             
             // Add error to history
             addToToolCallHistory(functionCall, errorData, 'error');
@@ -689,13 +772,16 @@ export default function ToolPanel({
             
             // After a short delay, prompt the model to continue
             setTimeout(() => {
-              sendClientEvent({
+              sendAutoResponseCreate({
                 type: "response.create",
                 prompt: "Please correct the error and try again."
               });
             }, 1500);
           })
-          .finally(() => setIsLoadingTool(false));
+          .finally(() => {
+            setIsLoadingTool(false);
+            reportExecution(executionStatus);
+          });
 
       } catch (error) {
         // Handle argument parsing errors
@@ -703,7 +789,9 @@ export default function ToolPanel({
         const errorData = { message: `Argument parsing error: ${error.message}` };
         setToolResult({ type: 'error', data: errorData });
         setIsLoadingTool(false);
+        reportExecution('error');
         setLastCallWasError(true); // Mark that the last call resulted in an error
+        notifyToolFailure(errorData.message);
         
         // Add error to history
         addToToolCallHistory(functionCall, errorData, 'error');
@@ -712,14 +800,16 @@ export default function ToolPanel({
         
         // After a short delay, prompt the model to continue
         setTimeout(() => {
-          sendClientEvent({
+          sendAutoResponseCreate({
             type: "response.create",
             prompt: "Please correct the argument error and try again."
           });
         }, 1500);
       }
     }
-  }, [events, sendClientEvent, activeToolCall, setActiveToolCall]);
+  };
+
+  useEffect(() => subscribeToEvents((event) => handleEvent.current(event)), [subscribeToEvents]);
 
   // Dynamic rendering based on the active tool call
   const renderToolOutput = () => {
@@ -748,6 +838,12 @@ export default function ToolPanel({
         <h2 className="text-lg font-semibold text-secondary-800 dark:text-dark-text">Tools Panel</h2>
       </div>
       <div className="flex-1 space-y-4 overflow-y-auto pr-2">
+        {throttledUntil && (
+          <p className="text-sm px-3 py-2 rounded bg-amber-100 dark:bg-amber-900/30 text-amber-800 dark:text-amber-300">
+            Rate limit reached - the tool result was sent, and the model will be asked to continue at{" "}
+            {new Date(throttledUntil).toLocaleTimeString()}.
+          </p>
+        )}
         {!isSessionActive ? (
           <p className="text-sm text-secondary-500 dark:text-dark-text-secondary">Start the session to enable tools.</p>
         ) : !toolsAdded ? (
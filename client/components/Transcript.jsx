@@ -0,0 +1,197 @@
+import { useMemo, useState } from "react";
+import ReactMarkdown from "react-markdown";
+import remarkGfm from "remark-gfm";
+import { ChevronDown, ChevronRight, Edit2, Tool, Trash2 } from "react-feather";
+import { getConversationItems } from "../lib/conversation";
+import { getTurnLatencies, getLatencyByItem, formatLatency } from "../lib/latency";
+
+// Keep long tool outputs from taking over the conversation
+const MAX_OUTPUT_PREVIEW = 2000;
+
+const actionClassName = "p-1 rounded text-secondary-400 hover:text-secondary-700 hover:bg-secondary-100 dark:hover:text-white dark:hover:bg-dark-surface-alt";
+
+// Inline editor for a user text message; saving replaces the item in place
+function MessageEditor({ item, onSave, onCancel }) {
+  const [text, setText] = useState(item.text);
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const trimmed = text.trim();
+    if (trimmed && trimmed !== item.text) onSave(item, trimmed);
+    onCancel();
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="w-full max-w-[80%] flex flex-col gap-1">
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && !e.shiftKey) handleSubmit(e);
+          if (e.key === "Escape") onCancel();
+        }}
+        autoFocus
+        rows={Math.min(8, text.split("\n").length + 1)}
+        aria-label="Edit message"
+        className="w-full px-3 py-2 text-sm rounded-lg border border-blue-300 dark:border-blue-700 bg-white dark:bg-dark-surface dark:text-dark-text"
+      />
+      <div className="flex justify-end gap-2 text-xs">
+        <span className="mr-auto text-secondary-500 dark:text-dark-text-secondary">The model sees the edited text from now on</span>
+        <button type="button" onClick={onCancel} className="px-2 py-1 rounded hover:bg-secondary-100 dark:hover:bg-dark-surface-alt">Cancel</button>
+        <button type="submit" className="px-2 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white">Save</button>
+      </div>
+    </form>
+  );
+}
+
+// Timing of the response an assistant message belongs to
+function LatencyNote({ turn }) {
+  if (!turn.startMs) return null;
+  const from = turn.trigger === "speech" ? "after you stopped speaking" : "after the request";
+  return (
+    <span className="block mt-1 text-xs font-mono opacity-60" title={`Measured from ${turn.trigger === "speech" ? "speech_stopped" : "response.create"}`}>
+      ⏱ {formatLatency(turn.toFirstDeltaMs)} to first output · {formatLatency(turn.toDoneMs)} to done, {from}
+    </span>
+  );
+}
+
+function Message({ item, latency, onDelete, onEdit }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const isUser = item.role === "user";
+  const canDelete = onDelete && !item.isStreaming && !item.isDeleting;
+  const canEdit = onEdit && isUser && !item.isAudio && !item.isDeleting && item.text;
+
+  if (isEditing) {
+    return (
+      <div className="flex justify-end">
+        <MessageEditor item={item} onSave={onEdit} onCancel={() => setIsEditing(false)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className={`group flex items-start gap-1 ${isUser ? "justify-end" : "justify-start"}`}>
+      {(canDelete || canEdit) && (
+        <div className={`flex opacity-0 group-hover:opacity-100 focus-within:opacity-100 ${isUser ? "" : "order-last"}`}>
+          {canEdit && (
+            <button onClick={() => setIsEditing(true)} className={actionClassName} title="Edit message" aria-label="Edit message">
+              <Edit2 height={12} />
+            </button>
+          )}
+          {canDelete && (
+            <button onClick={() => onDelete(item)} className={actionClassName} title="Remove from the conversation" aria-label="Delete message">
+              <Trash2 height={12} />
+            </button>
+          )}
+        </div>
+      )}
+      <div
+        className={`max-w-[80%] px-3 py-2 rounded-lg text-sm ${
+          isUser
+            ? "bg-blue-500 text-white dark:bg-blue-600 whitespace-pre-wrap"
+            : "bg-secondary-100 text-secondary-900 dark:bg-dark-surface-alt dark:text-dark-text"
+        } ${item.isDeleting ? "opacity-50" : ""}`}
+      >
+        {!item.text ? (
+          <span className="italic opacity-70">{isUser ? "(audio)" : "..."}</span>
+        ) : isUser ? (
+          item.text
+        ) : (
+          <div className="prose prose-sm dark:prose-invert max-w-none break-words">
+            <ReactMarkdown remarkPlugins={[remarkGfm]}>{item.text}</ReactMarkdown>
+          </div>
+        )}
+        {item.isStreaming && <span className="ml-1 animate-pulse">▍</span>}
+        {item.transcriptionError && (
+          <span className="block mt-1 text-xs italic text-red-100" title={item.transcriptionError}>
+            ⚠ Transcription failed: {item.transcriptionError}
+          </span>
+        )}
+        {item.truncated && (
+          <span className="block mt-1 text-xs italic opacity-70" title="Cut off by an interrupt - the model only keeps what was heard">
+            (interrupted)
+          </span>
+        )}
+        {item.isDeleting && <span className="block mt-1 text-xs italic opacity-70">deleting...</span>}
+        {latency && !isUser && <LatencyNote turn={latency.turn} />}
+      </div>
+    </div>
+  );
+}
+
+function ToolCallCard({ item, latency }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const roundTrip = latency?.toolCall?.toolRoundTripMs;
+  const status = item.isStreaming
+    ? "calling..."
+    : item.output === null
+      ? "running..."
+      : roundTrip !== null && roundTrip !== undefined ? `done in ${formatLatency(roundTrip)}` : "done";
+  const output = item.output && item.output.length > MAX_OUTPUT_PREVIEW
+    ? `${item.output.slice(0, MAX_OUTPUT_PREVIEW)}\n... (${item.output.length - MAX_OUTPUT_PREVIEW} more characters)`
+    : item.output;
+
+  let args = item.arguments;
+  try {
+    args = JSON.stringify(JSON.parse(item.arguments), null, 2);
+  } catch (error) {
+    // Still streaming or not JSON - show as is
+  }
+
+  return (
+    <div className="flex justify-start">
+      <div className="max-w-[80%] w-full rounded-lg border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface text-sm">
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="w-full flex items-center gap-2 px-3 py-2 text-left"
+          aria-expanded={isExpanded}
+        >
+          {isExpanded ? <ChevronDown height={14} /> : <ChevronRight height={14} />}
+          <Tool height={14} className="text-secondary-500 dark:text-dark-text-secondary" />
+          <span className="font-mono font-medium">{item.name}</span>
+          <span className="ml-auto text-xs text-secondary-500 dark:text-dark-text-secondary">{status}</span>
+        </button>
+        {isExpanded && (
+          <div className="px-3 pb-3 space-y-2">
+            <div>
+              <div className="text-xs text-secondary-500 dark:text-dark-text-secondary mb-1">Arguments</div>
+              <pre className="text-xs p-2 rounded bg-secondary-50 dark:bg-gray-900 overflow-x-auto">{args || "{}"}</pre>
+            </div>
+            {output !== null && (
+              <div>
+                <div className="text-xs text-secondary-500 dark:text-dark-text-secondary mb-1">Output</div>
+                <pre className="text-xs p-2 rounded bg-secondary-50 dark:bg-gray-900 overflow-x-auto whitespace-pre-wrap">{output}</pre>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Chat bubbles and tool call cards for items from getConversationItems().
+// Messages get delete/edit actions only when the handlers are passed (i.e. while connected),
+// and latency notes when `latencyByItem` (from getLatencyByItem) is.
+export function ConversationView({ items, latencyByItem, onDeleteItem, onEditItem }) {
+  if (items.length === 0) {
+    return <div className="text-gray-500 dark:text-gray-400">No messages yet.</div>;
+  }
+
+  return (
+    <div className="flex flex-col gap-2">
+      {items.map((item) => (
+        item.type === "function_call"
+          ? <ToolCallCard key={item.id} item={item} latency={latencyByItem?.get(item.id)} />
+          : <Message key={item.id} item={item} latency={latencyByItem?.get(item.id)} onDelete={onDeleteItem} onEdit={onEditItem} />
+      ))}
+    </div>
+  );
+}
+
+// Conversation reconstructed from the event stream
+export default function Transcript({ events, onDeleteItem, onEditItem }) {
+  const items = useMemo(() => getConversationItems(events), [events]);
+  const latencyByItem = useMemo(() => getLatencyByItem(getTurnLatencies(events)), [events]);
+  return <ConversationView items={items} latencyByItem={latencyByItem} onDeleteItem={onDeleteItem} onEditItem={onEditItem} />;
+}
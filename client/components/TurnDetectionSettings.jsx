@@ -0,0 +1,100 @@
+import { TURN_DETECTION_TYPES, EAGERNESS_LEVELS, validateTurnDetection } from "../lib/sessionConfig";
+
+const inputClassName = "px-2 py-1 text-sm rounded border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface dark:text-dark-text";
+const labelClassName = "text-xs text-secondary-700 dark:text-dark-text-secondary";
+
+// Editor for the session's turn detection (VAD) parameters. Number fields keep what was
+// typed (validateTurnDetection reports what can't be sent).
+export default function TurnDetectionSettings({ value, onChange, disabled = false }) {
+  const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+  const error = validateTurnDetection(value);
+
+  return (
+    <div className="grid grid-cols-2 gap-x-4 gap-y-2 items-center">
+      <label htmlFor="turn-detection-type" className={labelClassName}>Type</label>
+      <select
+        id="turn-detection-type"
+        value={value.type}
+        onChange={(e) => update("type", e.target.value)}
+        disabled={disabled}
+        className={inputClassName}
+      >
+        {TURN_DETECTION_TYPES.map((type) => (
+          <option key={type.id} value={type.id}>{type.name}</option>
+        ))}
+      </select>
+
+      {value.type === "semantic_vad" ? (
+        <>
+          <label htmlFor="turn-detection-eagerness" className={labelClassName}>
+            Eagerness
+          </label>
+          <select
+            id="turn-detection-eagerness"
+            value={value.eagerness}
+            onChange={(e) => update("eagerness", e.target.value)}
+            disabled={disabled}
+            className={inputClassName}
+          >
+            {EAGERNESS_LEVELS.map((level) => (
+              <option key={level} value={level}>{level}</option>
+            ))}
+          </select>
+          <p className="col-span-2 text-xs text-secondary-500 dark:text-dark-text-secondary">
+            Low waits longer for the user to finish, high responds as soon as possible. Semantic VAD requires a model that supports it.
+          </p>
+        </>
+      ) : (
+        <>
+          <label htmlFor="turn-detection-threshold" className={labelClassName}>
+            Threshold ({Number(value.threshold).toFixed(2)})
+          </label>
+          <input
+            id="turn-detection-threshold"
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={value.threshold}
+            onChange={(e) => update("threshold", Number(e.target.value))}
+            disabled={disabled}
+            title="Higher values need louder audio to count as speech - raise it in noisy rooms"
+          />
+
+          <label htmlFor="turn-detection-prefix" className={labelClassName}>
+            Prefix padding (ms)
+          </label>
+          <input
+            id="turn-detection-prefix"
+            type="number"
+            min="0"
+            max="2000"
+            step="50"
+            value={value.prefix_padding_ms}
+            onChange={(e) => update("prefix_padding_ms", e.target.value)}
+            disabled={disabled}
+            className={inputClassName}
+          />
+
+          <label htmlFor="turn-detection-silence" className={labelClassName}>
+            Silence duration (ms)
+          </label>
+          <input
+            id="turn-detection-silence"
+            type="number"
+            min="100"
+            max="5000"
+            step="50"
+            value={value.silence_duration_ms}
+            onChange={(e) => update("silence_duration_ms", e.target.value)}
+            disabled={disabled}
+            className={inputClassName}
+          />
+        </>
+      )}
+      {error && (
+        <p role="alert" className="col-span-2 text-xs text-red-600 dark:text-red-400">{error}</p>
+      )}
+    </div>
+  );
+}
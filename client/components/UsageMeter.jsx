@@ -0,0 +1,263 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { DollarSign, X } from "react-feather";
+import { getConfirmedSession } from "../lib/sessionConfig";
+import {
+  PRICE_FIELDS,
+  loadPriceTable,
+  savePriceTable,
+  resetPriceTable,
+  findPriceKey,
+  getSessionUsage,
+  formatCost,
+  formatTokens,
+  loadUsageHistory,
+  saveSessionUsage,
+  clearUsageHistory,
+} from "../lib/usage";
+
+const TABS = [
+  { id: "session", name: "This session" },
+  { id: "prices", name: "Prices" },
+  { id: "history", name: "Past sessions" },
+];
+
+const cellClassName = "px-2 py-1 text-right font-mono";
+const inputClassName = "w-full px-2 py-1 text-xs rounded border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface dark:text-dark-text";
+
+function ResponseUsageTable({ responses, total }) {
+  if (responses.length === 0) {
+    return <p className="text-xs text-secondary-500 dark:text-dark-text-secondary">No completed responses yet.</p>;
+  }
+
+  const row = (label, usage, key) => (
+    <tr key={key} className="border-t border-secondary-100 dark:border-dark-border">
+      <td className="px-2 py-1 font-mono truncate max-w-[120px]" title={label}>{label}</td>
+      <td className={cellClassName}>{usage.tokens.textInput + usage.tokens.textCachedInput}</td>
+      <td className={cellClassName}>{usage.tokens.audioInput + usage.tokens.audioCachedInput}</td>
+      <td className={cellClassName}>{usage.tokens.textCachedInput + usage.tokens.audioCachedInput}</td>
+      <td className={cellClassName}>{usage.tokens.textOutput}</td>
+      <td className={cellClassName}>{usage.tokens.audioOutput}</td>
+      <td className={cellClassName}>{formatCost(usage.cost)}</td>
+    </tr>
+  );
+
+  return (
+    <div className="max-h-64 overflow-y-auto">
+      <table className="w-full text-xs">
+        <thead className="text-secondary-500 dark:text-dark-text-secondary">
+          <tr>
+            <th className="px-2 py-1 text-left font-medium">Response</th>
+            <th className="px-2 py-1 text-right font-medium">Text in</th>
+            <th className="px-2 py-1 text-right font-medium">Audio in</th>
+            <th className="px-2 py-1 text-right font-medium">Cached</th>
+            <th className="px-2 py-1 text-right font-medium">Text out</th>
+            <th className="px-2 py-1 text-right font-medium">Audio out</th>
+            <th className="px-2 py-1 text-right font-medium">Cost</th>
+          </tr>
+        </thead>
+        <tbody>
+          {responses.map((response) => row(
+            response.status === "completed" ? response.responseId : `${response.responseId} (${response.status})`,
+            response,
+            response.responseId,
+          ))}
+        </tbody>
+        <tfoot className="font-semibold">{row("Session total", total, "total")}</tfoot>
+      </table>
+    </div>
+  );
+}
+
+function PriceEditor({ priceTable, priceKey, model, onSave, onReset }) {
+  const editKey = priceKey || model || "";
+  const [draft, setDraft] = useState(() => ({ ...(priceTable[editKey] || {}) }));
+
+  useEffect(() => {
+    setDraft({ ...(priceTable[editKey] || {}) });
+  }, [priceTable, editKey]);
+
+  if (!editKey) {
+    return <p className="text-xs text-secondary-500 dark:text-dark-text-secondary">Start a session to see which model's prices apply.</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-secondary-500 dark:text-dark-text-secondary">
+        USD per 1M tokens for <span className="font-mono">{editKey}</span>
+        {!priceKey && " (no prices configured yet - costs show as n/a)"}
+      </p>
+      <div className="grid grid-cols-3 gap-2">
+        {PRICE_FIELDS.map((field) => (
+          <label key={field.id} className="text-xs">
+            <span className="block mb-1 text-secondary-600 dark:text-dark-text-secondary">{field.name}</span>
+            <input
+              type="number"
+              min="0"
+              step="0.01"
+              value={draft[field.id] ?? ""}
+              onChange={(e) => setDraft({ ...draft, [field.id]: e.target.value === "" ? "" : Number(e.target.value) })}
+              className={inputClassName}
+            />
+          </label>
+        ))}
+      </div>
+      <div className="flex justify-end gap-2">
+        <button onClick={onReset} className="text-xs text-gray-600 dark:text-gray-400 hover:underline">
+          Reset to defaults
+        </button>
+        <button
+          onClick={() => onSave({ ...priceTable, [editKey]: draft })}
+          className="text-xs px-3 py-1 rounded bg-blue-600 hover:bg-blue-700 text-white"
+        >
+          Save prices
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function UsageHistory({ history, onClear }) {
+  if (history.length === 0) {
+    return <p className="text-xs text-secondary-500 dark:text-dark-text-secondary">No saved sessions yet.</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      <ul className="max-h-64 overflow-y-auto divide-y divide-secondary-100 dark:divide-dark-border text-xs">
+        {history.map((entry) => (
+          <li key={entry.sessionKey} className="py-1 flex justify-between gap-2">
+            <span>
+              {new Date(entry.startedAt).toLocaleString()}
+              <span className="ml-1 text-secondary-500 dark:text-dark-text-secondary">{entry.model || "unknown model"}</span>
+            </span>
+            <span className="font-mono whitespace-nowrap">
+              {entry.responseCount} resp · {formatTokens(entry.totalTokens)} tok · {formatCost(entry.cost)}
+            </span>
+          </li>
+        ))}
+      </ul>
+      <div className="flex justify-end">
+        <button onClick={onClear} className="text-xs text-red-600 dark:text-red-400 hover:underline">
+          Clear history
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Header badge showing the session's token usage and estimated cost. The totals of a
+// replayed log (`isReplay`) aren't kept: they were counted when it was recorded.
+export default function UsageMeter({ events, model, sessionStartedAt, isReplay = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeTab, setActiveTab] = useState("session");
+  const [priceTable, setPriceTable] = useState({});
+  const [history, setHistory] = useState([]);
+  const containerRef = useRef(null);
+
+  // localStorage is only available in the browser
+  useEffect(() => {
+    setPriceTable(loadPriceTable());
+    setHistory(loadUsageHistory());
+  }, []);
+
+  const sessionModel = model || getConfirmedSession(events)?.model || null;
+  const priceKey = findPriceKey(priceTable, sessionModel);
+  const usage = useMemo(
+    () => getSessionUsage(events, priceKey ? priceTable[priceKey] : null),
+    [events, priceTable, priceKey],
+  );
+
+  // Keep this session's totals so they can be reviewed after it ends
+  useEffect(() => {
+    if (!sessionStartedAt || isReplay || usage.responses.length === 0) return;
+    setHistory(saveSessionUsage({
+      sessionKey: sessionStartedAt,
+      startedAt: new Date(sessionStartedAt).toISOString(),
+      model: sessionModel,
+      responseCount: usage.responses.length,
+      inputTokens: usage.total.inputTokens,
+      outputTokens: usage.total.outputTokens,
+      totalTokens: usage.total.totalTokens,
+      tokens: usage.total.tokens,
+      cost: usage.total.cost,
+    }));
+  }, [sessionStartedAt, usage.total.totalTokens, usage.total.cost]);
+
+  // Close when clicking outside the popover
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener("mousedown", handleClick);
+    return () => document.removeEventListener("mousedown", handleClick);
+  }, [isOpen]);
+
+  function handleSavePrices(table) {
+    savePriceTable(table);
+    setPriceTable(table);
+  }
+
+  return (
+    <div className="relative mr-3" ref={containerRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="flex items-center gap-1 px-2 py-1 text-xs font-mono rounded border border-secondary-200 dark:border-dark-border text-secondary-700 dark:text-dark-text-secondary hover:bg-secondary-100 dark:hover:bg-dark-surface-alt"
+        title="Token usage and estimated cost"
+      >
+        <DollarSign height={12} />
+        {formatCost(usage.total.cost)} · {formatTokens(usage.total.totalTokens)} tok
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-[520px] max-w-[calc(100vw-2rem)] z-50 rounded-md border border-secondary-200 dark:border-dark-border bg-white dark:bg-dark-surface shadow-xl">
+          <div className="flex items-center justify-between px-3 py-2 border-b border-secondary-200 dark:border-dark-border">
+            <div className="flex gap-1">
+              {TABS.map((tab) => (
+                <button
+                  key={tab.id}
+                  onClick={() => setActiveTab(tab.id)}
+                  className={`px-2 py-1 text-xs rounded ${
+                    activeTab === tab.id
+                      ? "bg-blue-100 text-blue-800 dark:bg-blue-900/40 dark:text-blue-300"
+                      : "text-secondary-600 dark:text-dark-text-secondary hover:bg-secondary-100 dark:hover:bg-dark-surface-alt"
+                  }`}
+                >
+                  {tab.name}
+                </button>
+              ))}
+            </div>
+            <button onClick={() => setIsOpen(false)} className="text-secondary-500 hover:text-secondary-700 dark:hover:text-white" aria-label="Close">
+              <X height={14} />
+            </button>
+          </div>
+
+          <div className="p-3">
+            {activeTab === "session" && (
+              <>
+                <ResponseUsageTable responses={usage.responses} total={usage.total} />
+                <p className="mt-2 text-xs text-secondary-500 dark:text-dark-text-secondary">
+                  Model: <span className="font-mono">{sessionModel || "unknown"}</span>
+                  {sessionModel && !priceKey && " - no prices configured, see the Prices tab"}
+                  . Costs are estimates.
+                </p>
+              </>
+            )}
+            {activeTab === "prices" && (
+              <PriceEditor
+                priceTable={priceTable}
+                priceKey={priceKey}
+                model={sessionModel}
+                onSave={handleSavePrices}
+                onReset={() => setPriceTable(resetPriceTable())}
+              />
+            )}
+            {activeTab === "history" && (
+              <UsageHistory history={history} onClear={() => setHistory(clearUsageHistory())} />
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,146 @@
+import { useEffect, useRef, useState } from "react";
+
+// The element that scrolls `node` (the main pane); null means the window
+function getScrollParent(node) {
+  for (let element = node?.parentElement; element; element = element.parentElement) {
+    const { overflowY } = getComputedStyle(element);
+    if (overflowY === "auto" || overflowY === "scroll") return element;
+  }
+  return null;
+}
+
+// Index of the last row starting at or before `position` (offsets are ascending)
+function findRow(offsets, position) {
+  let low = 0;
+  let high = offsets.length - 2;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (offsets[mid] <= position) low = mid;
+    else high = mid - 1;
+  }
+  return Math.max(0, low);
+}
+
+// Renders only the rows near the visible part of the scrolling ancestor, so long lists
+// stay fast. Rows are measured once rendered; others count as `estimatedRowHeight`.
+// A new `scrollRequest` ({ key }) scrolls that row to the middle of the view.
+export default function VirtualList({
+  items,
+  getKey,
+  renderItem,
+  estimatedRowHeight = 40,
+  gap = 8,
+  overscan = 800, // Extra pixels rendered above and below the view
+  scrollRequest = null,
+}) {
+  const containerRef = useRef(null);
+  const heights = useRef(new Map()); // key -> measured row height
+  const resizeObserver = useRef(null);
+  const rowElements = useRef(new Map()); // key -> mounted row element being observed
+  const [viewport, setViewport] = useState({ top: 0, height: 1000 }); // Relative to the top of the list
+  const [, setMeasured] = useState(0);
+
+  function readViewport() {
+    const container = containerRef.current;
+    if (!container) return;
+    const scrollParent = getScrollParent(container);
+    const viewTop = scrollParent ? scrollParent.getBoundingClientRect().top : 0;
+    const viewHeight = scrollParent ? scrollParent.clientHeight : window.innerHeight;
+    const top = viewTop - container.getBoundingClientRect().top;
+    setViewport((prev) => (prev.top === top && prev.height === viewHeight ? prev : { top, height: viewHeight }));
+  }
+
+  // One observer for all rendered rows, created on first use (rows mount before effects run)
+  function getResizeObserver() {
+    if (!resizeObserver.current) {
+      resizeObserver.current = new ResizeObserver((entries) => {
+        let changed = false;
+        entries.forEach((entry) => {
+          const key = entry.target.dataset.key;
+          const height = entry.target.offsetHeight;
+          if (heights.current.get(key) !== height) {
+            heights.current.set(key, height);
+            changed = true;
+          }
+        });
+        if (changed) {
+          setMeasured((count) => count + 1);
+          readViewport();
+        }
+      });
+    }
+    return resizeObserver.current;
+  }
+
+  useEffect(() => {
+    const scrollParent = getScrollParent(containerRef.current);
+    const scrollTarget = scrollParent || window;
+    readViewport();
+    scrollTarget.addEventListener("scroll", readViewport, { passive: true });
+    window.addEventListener("resize", readViewport);
+
+    return () => {
+      scrollTarget.removeEventListener("scroll", readViewport);
+      window.removeEventListener("resize", readViewport);
+      resizeObserver.current?.disconnect();
+      resizeObserver.current = null;
+      rowElements.current.clear();
+    };
+  }, []);
+
+  // Row tops, plus the total height at the end
+  const offsets = new Array(items.length + 1);
+  offsets[0] = 0;
+  items.forEach((item, i) => {
+    offsets[i + 1] = offsets[i] + (heights.current.get(getKey(item)) ?? estimatedRowHeight) + gap;
+  });
+
+  const first = items.length === 0 ? 0 : findRow(offsets, viewport.top - overscan);
+  const last = items.length === 0 ? -1 : findRow(offsets, viewport.top + viewport.height + overscan);
+
+  useEffect(() => {
+    if (!scrollRequest) return;
+    const index = items.findIndex((item) => getKey(item) === scrollRequest.key);
+    const container = containerRef.current;
+    if (index === -1 || !container) return;
+
+    const scrollParent = getScrollParent(container);
+    const viewTop = scrollParent ? scrollParent.getBoundingClientRect().top : 0;
+    const viewHeight = scrollParent ? scrollParent.clientHeight : window.innerHeight;
+    const rowTop = container.getBoundingClientRect().top + offsets[index] - viewTop;
+    const delta = rowTop - viewHeight / 2;
+    if (scrollParent) scrollParent.scrollBy({ top: delta, behavior: "smooth" });
+    else window.scrollBy({ top: delta, behavior: "smooth" });
+  }, [scrollRequest]);
+
+  // Observe rows while they're mounted
+  function measureRow(key, element) {
+    const previous = rowElements.current.get(key);
+    if (previous === element) return;
+    if (previous) getResizeObserver().unobserve(previous);
+    if (element) {
+      rowElements.current.set(key, element);
+      getResizeObserver().observe(element);
+    } else {
+      rowElements.current.delete(key);
+    }
+  }
+
+  return (
+    <div ref={containerRef} style={{ height: Math.max(0, offsets[items.length] - gap), position: "relative" }}>
+      {items.slice(first, last + 1).map((item, i) => {
+        const key = getKey(item);
+        return (
+          <div
+            key={key}
+            ref={(element) => measureRow(key, element)}
+            data-key={key}
+            style={{ position: "absolute", top: offsets[first + i], left: 0, right: 0 }}
+          >
+            {renderItem(item)}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
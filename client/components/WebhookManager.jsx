@@ -2,6 +2,7 @@ import { useState, useEffect, useRef } from "react";
 import { ChevronDown, ChevronUp } from "lucide-react"; // Import icons for expand/collapse
 import Button from "./Button";
 import CryptoJS from 'crypto-js';
+import { notify } from "../lib/notifications";
 
 // Add a simple Tooltip component
 function Tooltip({ text, children }) {
@@ -307,7 +308,7 @@ export default function WebhookManager() {
       setEncryptPassword("");
     } catch (error) {
       console.error("Error exporting webhooks:", error);
-      alert("Failed to export webhooks!");
+      notify({ category: "tool", title: "Failed to export webhooks", message: error.message });
     }
   };
 
@@ -353,7 +354,11 @@ export default function WebhookManager() {
         setFileToImport(null);
       } catch (error) {
         console.error("Error decrypting file:", error);
-        alert("Failed to decrypt file. Please check your password and try again.");
+        notify({
+          category: "tool",
+          title: "Failed to decrypt file",
+          suggestion: "Check your password and try again.",
+        });
       }
     };
     
@@ -380,7 +385,7 @@ export default function WebhookManager() {
       const updatedWebhooks = { ...webhookEndpoints, ...data };
       setWebhookEndpoints(updatedWebhooks);
       localStorage.setItem("webhookEndpoints", JSON.stringify(updatedWebhooks));
-      alert("Webhooks imported successfully!");
+      notify({ level: "info", title: "Webhooks imported successfully" });
       
       if (fileInputRef.current) {
         fileInputRef.current.value = "";
@@ -388,7 +393,7 @@ export default function WebhookManager() {
       setFileToImport(null);
     } catch (error) {
       console.error("Error importing webhooks:", error);
-      alert("Failed to import webhooks: " + error.message);
+      notify({ category: "tool", title: "Failed to import webhooks", message: error.message });
     }
   };
 
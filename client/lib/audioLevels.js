@@ -0,0 +1,56 @@
+// client/lib/audioLevels.js
+
+// Level measurement for live MediaStreams (mic input and assistant output).
+//
+// Each analyser gets its own AudioContext so it can be torn down with the stream
+// it measures. Nothing is connected to the destination, so analysing a stream
+// never plays it a second time.
+
+export const METER_FLOOR_DB = -60; // Anything quieter reads as an empty meter
+export const CLIPPING_PEAK = 0.98; // Sample peak (0-1) treated as clipping
+
+export function createLevelAnalyser(stream) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const audioCtx = new AudioContextClass();
+  const analyser = audioCtx.createAnalyser();
+  analyser.fftSize = 1024;
+  analyser.smoothingTimeConstant = 0;
+
+  const source = audioCtx.createMediaStreamSource(stream);
+  source.connect(analyser);
+  audioCtx.resume().catch(() => {});
+
+  const samples = new Float32Array(analyser.fftSize);
+
+  return {
+    // RMS and peak of the most recent block of samples, both 0-1
+    read() {
+      analyser.getFloatTimeDomainData(samples);
+      let sumSquares = 0;
+      let peak = 0;
+      for (let i = 0; i < samples.length; i++) {
+        const value = Math.abs(samples[i]);
+        sumSquares += value * value;
+        if (value > peak) peak = value;
+      }
+      return { rms: Math.sqrt(sumSquares / samples.length), peak };
+    },
+
+    close() {
+      source.disconnect();
+      audioCtx.close().catch(() => {});
+    },
+  };
+}
+
+export function toDecibels(amplitude) {
+  if (amplitude <= 0) return -Infinity;
+  return 20 * Math.log10(amplitude);
+}
+
+// Map an amplitude onto 0-1 for drawing, using a dB scale from METER_FLOOR_DB to 0
+export function toMeterLevel(amplitude) {
+  const db = toDecibels(amplitude);
+  if (db <= METER_FLOOR_DB) return 0;
+  return Math.min(1, 1 - db / METER_FLOOR_DB);
+}
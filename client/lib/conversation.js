@@ -0,0 +1,383 @@
+// client/lib/conversation.js
+
+// Helpers for reconstructing the conversation from the Realtime event stream.
+// `events` is the array kept in App.jsx (newest first).
+
+import { forEachEventOldestFirst } from "./eventBuffer";
+
+// event_id prefix of the conversation.item.create events sent by buildReplayEvents after a
+// reconnect. Their echoes are skipped, since the items are already in the conversation.
+// The rest of the event_id is the id the item had, so its new id can be mapped back to it.
+const REPLAY_EVENT_PREFIX = "replay_";
+// Prefix for items seeded when resuming a saved conversation; these are shown
+export const RESUME_EVENT_PREFIX = "resume_";
+
+// Pull the displayable text out of a message item's content parts
+function getContentText(content = []) {
+  return content
+    .map((part) => part.text ?? part.transcript ?? "")
+    .join("");
+}
+
+// Pretty-print tool call arguments/output when they're JSON
+function formatJson(text) {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (error) {
+    return text;
+  }
+}
+
+// Rebuild the conversation, oldest first. Assistant text and tool call arguments
+// are assembled from the streaming deltas until the item is done.
+// Messages: { id, type: "message", role, text, isAudio, isStreaming, truncated, transcriptionError } - truncated
+// marks answers cut off by an interrupt, transcriptionError is set when the user's audio couldn't be transcribed.
+// Tool calls: { id, type: "function_call", name, callId, arguments, output, outputId, isStreaming }
+// Both also get startMs/endMs (epoch ms) from the event timestamps: for spoken user turns
+// the VAD speech start/stop, otherwise the first and last event seen for the item.
+// previousItemId is the server's previous_item_id ("root" for the first item), used to
+// re-create an item in place, and isDeleting is set once conversation.item.delete was sent.
+// serverId is the item's id in the current session, which differs from id once the item was
+// replayed after a reconnect; events sent to the server use serverId and previousItemId.
+// Items are ordered the way the server reports them, so one inserted mid-conversation shows in place.
+export function getConversationItems(events) {
+  const items = new Map();
+  const callItems = new Map(); // call_id -> item id, to attach function_call_output
+  const timings = new Map(); // item id -> { startMs, endMs, isFinal }
+  // Item ids in conversation order, including tool outputs and system items that aren't
+  // shown, as a linked list so items can be placed and removed without scanning
+  const order = { first: null, last: null, next: new Map(), prev: new Map() };
+  const previousIds = new Map(); // item id -> previous_item_id reported by the server
+  const followers = new Map(); // previous_item_id -> ids of the items it precedes
+  // Items re-created after a reconnect are already in the list from the old session. The
+  // server handles the creates in order, so each echo answers the oldest one still pending.
+  const pendingReplays = []; // { eventId, type, itemId }
+  const replayedIds = new Map(); // id in the new session -> id shown
+  const serverIds = new Map(); // id shown -> id in the current session
+  const resolveId = (id) => replayedIds.get(id) ?? id;
+  // Items created with previous_item_id "root" come back with a null previous_item_id
+  let pendingRootInserts = 0;
+  const pendingDeletes = new Map(); // client event_id -> item id, to undo isDeleting if the delete fails
+
+  // Add an item id to `order` after its predecessor (appended when that isn't known)
+  function placeItem(itemId, previousItemId) {
+    if (order.prev.has(itemId)) return;
+    const before = previousItemId === "root" ? null : previousItemId;
+    if (before !== null && !order.prev.has(before)) {
+      linkItem(itemId, order.last);
+    } else {
+      linkItem(itemId, before);
+    }
+  }
+
+  // Insert after `before` (null for the start)
+  function linkItem(itemId, before) {
+    const after = before === null ? order.first : order.next.get(before);
+    order.prev.set(itemId, before);
+    order.next.set(itemId, after);
+    if (before === null) order.first = itemId;
+    else order.next.set(before, itemId);
+    if (after === null) order.last = itemId;
+    else order.prev.set(after, itemId);
+  }
+
+  function unlinkItem(itemId) {
+    if (!order.prev.has(itemId)) return;
+    const before = order.prev.get(itemId);
+    const after = order.next.get(itemId);
+    if (before === null) order.first = after;
+    else order.next.set(before, after);
+    if (after === null) order.last = before;
+    else order.prev.set(after, before);
+    order.prev.delete(itemId);
+    order.next.delete(itemId);
+  }
+
+  function setPreviousId(itemId, previousItemId) {
+    followers.get(previousIds.get(itemId))?.delete(itemId);
+    previousIds.set(itemId, previousItemId);
+    if (!followers.has(previousItemId)) followers.set(previousItemId, new Set());
+    followers.get(previousItemId).add(itemId);
+  }
+
+  // Whatever followed `fromId` now follows `toId`
+  function moveFollowers(fromId, toId) {
+    const moved = followers.get(fromId);
+    followers.delete(fromId);
+    moved?.forEach((id) => setPreviousId(id, toId));
+  }
+
+  // Walk the events in the order they happened
+  forEachEventOldestFirst(events, (event) => {
+    if (event.source === "client") {
+      if (event.type === "conversation.item.create" && event.event_id?.startsWith(REPLAY_EVENT_PREFIX)) {
+        pendingReplays.push({
+          eventId: event.event_id,
+          type: event.item?.type,
+          itemId: event.event_id.slice(REPLAY_EVENT_PREFIX.length),
+        });
+      } else if (event.type === "conversation.item.create" && event.previous_item_id === "root") {
+        pendingRootInserts++;
+      } else if (event.type === "conversation.item.delete" && items.has(resolveId(event.item_id))) {
+        const itemId = resolveId(event.item_id);
+        items.set(itemId, { ...items.get(itemId), isDeleting: true });
+        pendingDeletes.set(event.event_id, itemId);
+      }
+      return;
+    }
+
+    markItemTime(timings, event);
+
+    switch (event.type) {
+      case "response.output_item.added":
+      case "conversation.item.created": {
+        const { item } = event;
+        if (event.type === "conversation.item.created" && item?.type && pendingReplays[0]?.type === item.type) {
+          const { itemId } = pendingReplays.shift();
+          if (item.id) {
+            replayedIds.set(item.id, itemId);
+            serverIds.set(itemId, item.id);
+          }
+          break;
+        }
+
+        if (item?.id && event.type === "conversation.item.created") {
+          let previousItemId = resolveId(event.previous_item_id) || null;
+          if (!previousItemId && pendingRootInserts > 0) {
+            pendingRootInserts--;
+            previousItemId = "root";
+          }
+          placeItem(item.id, previousItemId);
+          // An item inserted mid-conversation becomes the predecessor of the one after it
+          if (previousItemId) moveFollowers(previousItemId, item.id);
+          setPreviousId(item.id, previousItemId || "root");
+        } else if (item?.id) {
+          placeItem(item.id, null);
+        }
+
+        if (item?.type === "function_call") {
+          const existing = items.get(item.id);
+          items.set(item.id, {
+            id: item.id,
+            type: "function_call",
+            name: item.name,
+            callId: item.call_id,
+            arguments: item.arguments || existing?.arguments || "",
+            output: existing?.output ?? null,
+            outputId: existing?.outputId ?? null,
+            isStreaming: item.status === "in_progress",
+          });
+          callItems.set(item.call_id, item.id);
+          break;
+        }
+
+        if (item?.type === "function_call_output") {
+          const callItemId = callItems.get(item.call_id);
+          const call = callItemId && items.get(callItemId);
+          if (call) items.set(callItemId, { ...call, output: formatJson(item.output ?? ""), outputId: item.id });
+          break;
+        }
+
+        if (item?.type !== "message" || item.role === "system") break;
+        const existing = items.get(item.id);
+        items.set(item.id, {
+          id: item.id,
+          type: "message",
+          role: item.role,
+          text: getContentText(item.content) || existing?.text || "",
+          isAudio: (item.content || []).some((part) => part.type === "input_audio" || part.type === "audio") || existing?.isAudio || false,
+          isStreaming: item.role === "assistant" && item.status === "in_progress",
+        });
+        break;
+      }
+
+      case "response.function_call_arguments.delta": {
+        const existing = items.get(event.item_id);
+        if (existing) {
+          items.set(event.item_id, { ...existing, arguments: existing.arguments + (event.delta || ""), isStreaming: true });
+        }
+        break;
+      }
+
+      case "response.function_call_arguments.done": {
+        const existing = items.get(event.item_id);
+        if (existing) {
+          items.set(event.item_id, { ...existing, arguments: event.arguments ?? existing.arguments, isStreaming: false });
+        }
+        break;
+      }
+
+      case "response.text.delta":
+      case "response.audio_transcript.delta": {
+        const existing = items.get(event.item_id) || { id: event.item_id, type: "message", role: "assistant", text: "" };
+        items.set(event.item_id, { ...existing, text: existing.text + (event.delta || ""), isStreaming: true });
+        break;
+      }
+
+      case "response.text.done":
+      case "response.audio_transcript.done": {
+        const existing = items.get(event.item_id) || { id: event.item_id, type: "message", role: "assistant", text: "" };
+        const text = event.text ?? event.transcript ?? existing.text;
+        items.set(event.item_id, { ...existing, text, isStreaming: false });
+        break;
+      }
+
+      case "response.output_item.done": {
+        const { item } = event;
+        if (item?.type === "function_call") {
+          const existing = items.get(item.id);
+          if (existing) items.set(item.id, { ...existing, arguments: item.arguments ?? existing.arguments, isStreaming: false });
+          break;
+        }
+        if (item?.type !== "message") break;
+        const existing = items.get(item.id) || { id: item.id, type: "message", role: item.role, text: "" };
+        items.set(item.id, { ...existing, text: getContentText(item.content) || existing.text, isStreaming: false });
+        break;
+      }
+
+      // Transcription of the user's audio (when input_audio_transcription is enabled)
+      case "conversation.item.input_audio_transcription.delta": {
+        const existing = items.get(event.item_id) || { id: event.item_id, type: "message", role: "user", text: "" };
+        items.set(event.item_id, { ...existing, text: existing.text + (event.delta || ""), isStreaming: true });
+        break;
+      }
+
+      case "conversation.item.input_audio_transcription.completed": {
+        const existing = items.get(event.item_id) || { id: event.item_id, type: "message", role: "user", text: "" };
+        items.set(event.item_id, { ...existing, text: event.transcript ?? existing.text, isStreaming: false });
+        break;
+      }
+
+      case "conversation.item.input_audio_transcription.failed": {
+        const existing = items.get(event.item_id) || { id: event.item_id, type: "message", role: "user", text: "" };
+        items.set(event.item_id, {
+          ...existing,
+          isStreaming: false,
+          transcriptionError: event.error?.message || "Transcription failed",
+        });
+        break;
+      }
+
+      case "conversation.item.truncated": {
+        const itemId = resolveId(event.item_id);
+        const existing = items.get(itemId);
+        if (existing) {
+          items.set(itemId, { ...existing, truncated: true, isStreaming: false });
+        }
+        break;
+      }
+
+      case "response.done": {
+        // Cancelled text responses have no audio to truncate, so mark them here
+        if (event.response?.status !== "cancelled") break;
+        (event.response.output || []).forEach((item) => {
+          const existing = items.get(item.id);
+          if (existing) {
+            items.set(item.id, { ...existing, truncated: true, isStreaming: false });
+          }
+        });
+        break;
+      }
+
+      case "error": {
+        const itemId = pendingDeletes.get(event.error?.event_id);
+        if (itemId && items.has(itemId)) {
+          items.set(itemId, { ...items.get(itemId), isDeleting: false });
+        }
+        // A replayed item that couldn't be created won't be echoed
+        const replayIndex = pendingReplays.findIndex((replay) => replay.eventId === event.error?.event_id);
+        if (replayIndex !== -1) pendingReplays.splice(replayIndex, 1);
+        break;
+      }
+
+      case "conversation.item.deleted": {
+        // Whatever followed the deleted item now follows its predecessor
+        const itemId = resolveId(event.item_id);
+        const previousItemId = previousIds.get(itemId) || "root";
+        moveFollowers(itemId, previousItemId);
+        followers.get(previousIds.get(itemId))?.delete(itemId);
+        previousIds.delete(itemId);
+        items.delete(itemId);
+        unlinkItem(itemId);
+        break;
+      }
+
+      default:
+        break;
+    }
+  });
+
+  const orderedIds = [];
+  for (let id = order.first; id !== null; id = order.next.get(id)) {
+    if (items.has(id)) orderedIds.push(id);
+  }
+  // Items only seen through deltas (e.g. the start fell out of the event list) go last
+  items.forEach((item, id) => {
+    if (!order.prev.has(id)) orderedIds.push(id);
+  });
+
+  return orderedIds.map((id) => {
+    const previousItemId = previousIds.get(id) || null;
+    const item = {
+      ...items.get(id),
+      serverId: serverIds.get(id) || id,
+      previousItemId: previousItemId && (serverIds.get(previousItemId) || previousItemId),
+    };
+    const timing = timings.get(id);
+    return timing ? { ...item, startMs: timing.startMs, endMs: timing.endMs } : item;
+  });
+}
+
+// Track when each item was first and last seen. speech_stopped closes a user turn, so
+// the transcription that arrives afterwards doesn't stretch it.
+function markItemTime(timings, event) {
+  const itemId = event.item_id || event.item?.id;
+  if (!itemId || !event.timestampMs) return;
+
+  const timing = timings.get(itemId);
+  const isFinal = event.type === "input_audio_buffer.speech_stopped";
+  if (!timing) {
+    timings.set(itemId, { startMs: event.timestampMs, endMs: event.timestampMs, isFinal });
+  } else if (!timing.isFinal) {
+    timing.endMs = Math.max(timing.endMs, event.timestampMs);
+    timing.isFinal = isFinal;
+  }
+}
+
+// Build the conversation.item.create events that recreate `items` in a new session.
+// Messages without any text (e.g. untranscribed audio) and tool calls whose arguments
+// are still streaming are skipped; a call's output follows it.
+export function buildReplayEvents(items, eventIdPrefix = REPLAY_EVENT_PREFIX) {
+  const createItem = (eventId, item) => ({ type: "conversation.item.create", event_id: eventId, item });
+
+  return items.flatMap((item) => {
+    if (item.type === "function_call") {
+      if (item.isStreaming) return [];
+      const events = [createItem(`${eventIdPrefix}${item.id}`, {
+        type: "function_call",
+        call_id: item.callId,
+        name: item.name,
+        arguments: item.arguments,
+      })];
+      if (item.output !== null && item.output !== undefined) {
+        events.push(createItem(`${eventIdPrefix}${item.outputId || crypto.randomUUID()}`, {
+          type: "function_call_output",
+          call_id: item.callId,
+          output: item.output,
+        }));
+      }
+      return events;
+    }
+
+    if (item.type !== "message" || !item.text || !item.text.trim()) return [];
+    return [createItem(`${eventIdPrefix}${item.id}`, {
+      type: "message",
+      role: item.role,
+      content: [
+        item.role === "assistant"
+          ? { type: "text", text: item.text }
+          : { type: "input_text", text: item.text },
+      ],
+    })];
+  });
+}
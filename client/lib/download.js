@@ -0,0 +1,18 @@
+// client/lib/download.js
+
+// Save a Blob as a file via a temporary link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Save text content (JSON, CSV, Markdown...) as a file
+export function downloadText(text, filename, type = "text/plain") {
+  downloadBlob(new Blob([text], { type: `${type};charset=utf-8` }), filename);
+}
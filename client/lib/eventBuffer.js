@@ -0,0 +1,285 @@
+// client/lib/eventBuffer.js
+
+// Bounded in-memory storage for the session's event stream.
+//
+// Events go into a fixed-size ring buffer. Once it is full, the oldest event is handed
+// to `onSpill` (App writes those to IndexedDB, see archiveEvents in historyStore.js) and
+// dropped from the event log. The chat, usage and latency views need the whole session
+// though, so evicted events are kept in a compact `retained` list: deltas are dropped,
+// and everything that describes one conversation item (output_item.added/done,
+// conversation.item.created, content parts, transcripts, ...) is folded into a single
+// RETAINED_ITEM_EVENT entry that keeps the item once, the times the views measure and
+// the first delta of each content part. Views walk session events with
+// forEachEventOldestFirst(), which expands those entries back into the events they
+// stand for. Session-level events (response.created/done, VAD, errors, client events)
+// are kept as they are, with response.done's output reduced to item ids.
+
+export const DEFAULT_EVENT_BUFFER_CAPACITY = 5000;
+export const EVENT_BUFFER_CAPACITIES = [1000, 2000, 5000, 10000, 20000, 50000];
+const CAPACITY_KEY = "eventBufferCapacity";
+
+export function loadEventBufferCapacity() {
+  const saved = Number(localStorage.getItem(CAPACITY_KEY));
+  return EVENT_BUFFER_CAPACITIES.includes(saved) ? saved : DEFAULT_EVENT_BUFFER_CAPACITY;
+}
+
+export function saveEventBufferCapacity(capacity) {
+  localStorage.setItem(CAPACITY_KEY, String(capacity));
+}
+
+function isDelta(event) {
+  return event.type?.endsWith(".delta");
+}
+
+export const RETAINED_ITEM_EVENT = "app.retained_item";
+
+// Events folded into their item's retained entry (deltas are too)
+const ITEM_EVENT_TYPES = new Set([
+  "response.output_item.added",
+  "conversation.item.created",
+  "response.output_item.done",
+  "response.content_part.added",
+  "response.content_part.done",
+  "response.text.done",
+  "response.audio_transcript.done",
+  "response.function_call_arguments.done",
+  "conversation.item.input_audio_transcription.completed",
+  "conversation.item.input_audio_transcription.failed",
+  "conversation.item.truncated",
+]);
+
+function getItemId(event) {
+  return event.item_id || event.item?.id || null;
+}
+
+function createRetainedItem(event, itemId) {
+  return {
+    type: RETAINED_ITEM_EVENT,
+    source: event.source,
+    item_id: itemId,
+    response_id: event.response_id || null,
+    timestamp: event.timestamp,
+    timestampMs: event.timestampMs,
+    firstItem: null, // The item as first reported (output_item.added / conversation.item.created)
+    item: null, // Latest full item seen
+    times: {}, // Event type -> when it was received
+    previousItemId: undefined, // From conversation.item.created
+    parts: {}, // content_index -> { type, addedMs, doneMs, firstDelta }
+    firstDelta: null, // { type, ms } of a delta without a content part (arguments, transcription)
+    transcript: null,
+    error: null,
+  };
+}
+
+// Fold one event into a copy of the item's entry
+function foldItemEvent(entry, event) {
+  const next = { ...entry, times: { ...entry.times }, parts: { ...entry.parts } };
+  const ms = event.timestampMs;
+  if (event.response_id && !next.response_id) next.response_id = event.response_id;
+
+  if (isDelta(event)) {
+    const part = next.parts[event.content_index];
+    if (part && !part.firstDelta) {
+      next.parts[event.content_index] = { ...part, firstDelta: { type: event.type, ms } };
+    } else if (!part && !next.firstDelta) {
+      next.firstDelta = { type: event.type, ms };
+    }
+    return next;
+  }
+
+  if (!(event.type in next.times)) next.times[event.type] = ms;
+  if (event.item) {
+    if (!next.firstItem) next.firstItem = event.item;
+    next.item = event.item;
+  }
+  switch (event.type) {
+    case "conversation.item.created":
+      next.previousItemId = event.previous_item_id ?? null;
+      break;
+    case "response.content_part.added":
+      next.parts[event.content_index] = { type: event.part?.type, addedMs: ms, doneMs: null, firstDelta: null };
+      break;
+    case "response.content_part.done": {
+      const part = next.parts[event.content_index];
+      if (part) next.parts[event.content_index] = { ...part, doneMs: ms };
+      break;
+    }
+    case "response.function_call_arguments.done":
+      next.arguments = event.arguments;
+      next.callId = event.call_id;
+      break;
+    case "conversation.item.input_audio_transcription.completed":
+      next.transcript = event.transcript ?? null;
+      break;
+    case "conversation.item.input_audio_transcription.failed":
+      next.error = event.error || null;
+      break;
+    default:
+      break;
+  }
+  return next;
+}
+
+// The events a retained item entry stands for, oldest first. Text and arguments come
+// from the item itself, so the transcript/text done events are left empty.
+function expandRetainedItem(entry) {
+  const base = { source: entry.source, item_id: entry.item_id, response_id: entry.response_id };
+  const expanded = [];
+  const add = (type, ms, fields = {}) => {
+    if (ms) expanded.push({ ...base, type, timestampMs: ms, ...fields });
+  };
+  const { times, firstItem, item } = entry;
+
+  add("response.output_item.added", times["response.output_item.added"], { item: firstItem });
+  add("conversation.item.created", times["conversation.item.created"], { item: firstItem, previous_item_id: entry.previousItemId });
+  Object.entries(entry.parts).forEach(([index, part]) => {
+    const contentIndex = Number(index);
+    add("response.content_part.added", part.addedMs, { content_index: contentIndex, part: { type: part.type } });
+    if (part.firstDelta) add(part.firstDelta.type, part.firstDelta.ms, { content_index: contentIndex, delta: "" });
+    add("response.content_part.done", part.doneMs, { content_index: contentIndex });
+  });
+  if (entry.firstDelta) add(entry.firstDelta.type, entry.firstDelta.ms, { delta: "" });
+  add("response.function_call_arguments.done", times["response.function_call_arguments.done"], { call_id: entry.callId, arguments: entry.arguments });
+  add("response.text.done", times["response.text.done"]);
+  add("response.audio_transcript.done", times["response.audio_transcript.done"]);
+  add("conversation.item.input_audio_transcription.completed", times["conversation.item.input_audio_transcription.completed"], { transcript: entry.transcript });
+  add("conversation.item.input_audio_transcription.failed", times["conversation.item.input_audio_transcription.failed"], { error: entry.error });
+  add("response.output_item.done", times["response.output_item.done"], { item });
+  add("conversation.item.truncated", times["conversation.item.truncated"]);
+  return expanded.sort((a, b) => a.timestampMs - b.timestampMs);
+}
+
+// Call `callback` with each event in the order they happened. `events` are newest first,
+// as returned by getSessionEvents(); retained item entries are expanded.
+export function forEachEventOldestFirst(events, callback) {
+  for (let i = events.length - 1; i >= 0; i--) {
+    const event = events[i];
+    if (event.type === RETAINED_ITEM_EVENT) {
+      expandRetainedItem(event).forEach(callback);
+    } else {
+      callback(event);
+    }
+  }
+}
+
+// response.done repeats every output item in full; the items are retained on their own
+function compactResponseDone(event) {
+  const output = (event.response?.output || []).map(({ id, type }) => ({ id, type }));
+  return { ...event, response: { ...event.response, output } };
+}
+
+export function createEventBuffer({ capacity = DEFAULT_EVENT_BUFFER_CAPACITY, onSpill } = {}) {
+  let slots = new Array(capacity);
+  let start = 0; // Slot of the oldest event
+  let size = 0;
+  let retained = []; // Evicted events still needed by the conversation views, oldest first
+  const retainedItems = new Map(); // item id -> index of its entry in `retained`
+  let spilledCount = 0;
+  // Newest-first copies, rebuilt on demand after a change
+  let recentSnapshot = null;
+  let retainedSnapshot = null;
+  let sessionSnapshot = null;
+
+  function retain(event) {
+    const itemId = getItemId(event);
+    if (event.source !== "client" && itemId && (isDelta(event) || ITEM_EVENT_TYPES.has(event.type))) {
+      const index = retainedItems.get(itemId);
+      if (index === undefined) {
+        // Deltas of an item whose start is already gone don't describe anything on their own
+        if (isDelta(event)) return;
+        retainedItems.set(itemId, retained.length);
+        retained.push(foldItemEvent(createRetainedItem(event, itemId), event));
+      } else {
+        retained[index] = foldItemEvent(retained[index], event);
+      }
+    } else if (isDelta(event)) {
+      return;
+    } else {
+      retained.push(event.type === "response.done" ? compactResponseDone(event) : event);
+    }
+    retainedSnapshot = null;
+  }
+
+  function evict(event) {
+    spilledCount++;
+    onSpill?.(event);
+    retain(event);
+  }
+
+  function push(event) {
+    if (size === capacity) {
+      evict(slots[start]);
+      slots[start] = event;
+      start = (start + 1) % capacity;
+    } else {
+      slots[(start + size) % capacity] = event;
+      size++;
+    }
+    recentSnapshot = null;
+    sessionSnapshot = null;
+  }
+
+  // Events still in the buffer, newest first (what the event log shows)
+  function getRecentEvents() {
+    if (!recentSnapshot) {
+      recentSnapshot = new Array(size);
+      for (let i = 0; i < size; i++) {
+        recentSnapshot[i] = slots[(start + size - 1 - i) % capacity];
+      }
+    }
+    return recentSnapshot;
+  }
+
+  // Buffered plus retained events, newest first - everything getConversationItems and
+  // friends need to describe the whole session
+  function getSessionEvents() {
+    if (!sessionSnapshot) {
+      if (retained.length > 0 && !retainedSnapshot) retainedSnapshot = retained.slice().reverse();
+      sessionSnapshot = retained.length === 0 ? getRecentEvents() : getRecentEvents().concat(retainedSnapshot);
+    }
+    return sessionSnapshot;
+  }
+
+  // Change the capacity, spilling the oldest events if it shrinks
+  function setCapacity(newCapacity) {
+    const events = getRecentEvents().slice().reverse();
+    const overflow = Math.max(0, events.length - newCapacity);
+    events.slice(0, overflow).forEach(evict);
+
+    capacity = newCapacity;
+    slots = new Array(capacity);
+    start = 0;
+    size = 0;
+    events.slice(overflow).forEach((event) => {
+      slots[size++] = event;
+    });
+    recentSnapshot = null;
+    sessionSnapshot = null;
+  }
+
+  function clear() {
+    slots = new Array(capacity);
+    start = 0;
+    size = 0;
+    retained = [];
+    retainedItems.clear();
+    spilledCount = 0;
+    recentSnapshot = null;
+    retainedSnapshot = null;
+    sessionSnapshot = null;
+  }
+
+  return {
+    push,
+    getRecentEvents,
+    getSessionEvents,
+    setCapacity,
+    clear,
+    get capacity() {
+      return capacity;
+    },
+    get spilledCount() {
+      return spilledCount;
+    },
+  };
+}
@@ -0,0 +1,132 @@
+// client/lib/eventFilters.js
+
+// Filtering for the event log: event type patterns, client/server source, a recent
+// time window and full-text search in the event JSON.
+//
+// Type patterns are comma or space separated globs (`*` any run of characters, `?` one
+// character), e.g. "response.*, session.*". A leading "!" excludes: "!*.delta" hides
+// all streaming deltas. Named presets are kept in localStorage.
+
+const PRESETS_KEY = "eventLogFilterPresets";
+const CURRENT_FILTERS_KEY = "eventLogFilters";
+
+export const TIME_WINDOWS = [
+  { id: "all", name: "All time", ms: null },
+  { id: "1m", name: "Last minute", ms: 60 * 1000 },
+  { id: "5m", name: "Last 5 minutes", ms: 5 * 60 * 1000 },
+  { id: "15m", name: "Last 15 minutes", ms: 15 * 60 * 1000 },
+  { id: "60m", name: "Last hour", ms: 60 * 60 * 1000 },
+];
+
+export const DEFAULT_FILTERS = {
+  types: "",
+  showClient: true,
+  showServer: true,
+  timeWindow: "all",
+  search: "",
+};
+
+// Lowercased JSON per event, so searching doesn't re-serialize on every keystroke
+const searchTextCache = new WeakMap();
+
+function getSearchText(event) {
+  let text = searchTextCache.get(event);
+  if (text === undefined) {
+    text = JSON.stringify(event).toLowerCase();
+    searchTextCache.set(event, text);
+  }
+  return text;
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`, "i");
+}
+
+export function parseTypePatterns(text) {
+  const include = [];
+  const exclude = [];
+  (text || "").split(/[\s,]+/).filter(Boolean).forEach((pattern) => {
+    if (pattern.startsWith("!")) {
+      if (pattern.length > 1) exclude.push(globToRegExp(pattern.slice(1)));
+    } else {
+      include.push(globToRegExp(pattern));
+    }
+  });
+  return { include, exclude };
+}
+
+// Events come from the client if App tagged them so (older entries: by event_id prefix)
+export function getEventSource(event) {
+  if (event.source) return event.source;
+  return event.event_id && !event.event_id.startsWith("event_") ? "client" : "server";
+}
+
+// Turn filter settings into a predicate; `now` anchors the time window
+export function compileFilters(filters, now = Date.now()) {
+  const { include, exclude } = parseTypePatterns(filters.types);
+  const search = filters.search.trim().toLowerCase();
+  const windowMs = TIME_WINDOWS.find((entry) => entry.id === filters.timeWindow)?.ms ?? null;
+  const since = windowMs ? now - windowMs : null;
+
+  return (event) => {
+    const source = getEventSource(event);
+    if (source === "client" && !filters.showClient) return false;
+    if (source === "server" && !filters.showServer) return false;
+    if (since && (!event.timestampMs || event.timestampMs < since)) return false;
+    if (include.length > 0 && !include.some((pattern) => pattern.test(event.type))) return false;
+    if (exclude.some((pattern) => pattern.test(event.type))) return false;
+    if (search && !getSearchText(event).includes(search)) return false;
+    return true;
+  };
+}
+
+export function isDefaultFilters(filters) {
+  return Object.keys(DEFAULT_FILTERS).every((key) => filters[key] === DEFAULT_FILTERS[key]);
+}
+
+// --- Persistence ---
+
+function readJson(key, fallback) {
+  try {
+    return JSON.parse(localStorage.getItem(key) || "null") ?? fallback;
+  } catch (error) {
+    console.error(`Error loading ${key}:`, error);
+    return fallback;
+  }
+}
+
+export function loadFilterPresets() {
+  const presets = readJson(PRESETS_KEY, []);
+  return Array.isArray(presets) ? presets : [];
+}
+
+// Add or replace a preset by name; returns the updated list
+export function saveFilterPreset(name, filters) {
+  const presets = loadFilterPresets().filter((preset) => preset.name !== name);
+  const updated = [...presets, { name, filters: { ...DEFAULT_FILTERS, ...filters } }];
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(updated));
+  return updated;
+}
+
+export function deleteFilterPreset(name) {
+  const updated = loadFilterPresets().filter((preset) => preset.name !== name);
+  localStorage.setItem(PRESETS_KEY, JSON.stringify(updated));
+  return updated;
+}
+
+// The filters in use, so they survive switching views and reloads
+export function loadCurrentFilters() {
+  return { ...DEFAULT_FILTERS, ...readJson(CURRENT_FILTERS_KEY, {}) };
+}
+
+export function saveCurrentFilters(filters) {
+  localStorage.setItem(CURRENT_FILTERS_KEY, JSON.stringify(filters));
+}
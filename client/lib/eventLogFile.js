@@ -0,0 +1,37 @@
+// client/lib/eventLogFile.js
+
+// The complete event stream of a session as JSONL: one event per line, oldest first,
+// exactly as App logged it (including `timestamp`, `timestampMs` and `source`).
+// Exported from the Export menu and loaded again for an offline replay.
+
+export const EVENT_LOG_TYPE = "application/x-ndjson";
+
+// `events` newest first, like App's event log
+export function toEventLogJsonl(events) {
+  return events.slice().reverse().map((event) => JSON.stringify(event)).join("\n") + "\n";
+}
+
+export function getEventLogFilename(startedAt) {
+  const started = new Date(startedAt || Date.now()).toISOString().replace(/[:.]/g, "-").slice(0, 19);
+  return `realtime-events-${started}.jsonl`;
+}
+
+// Events of a JSONL file, oldest first. Throws on a line that isn't an event.
+export function parseEventLogJsonl(text) {
+  const events = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Line ${index + 1} isn't valid JSON: ${error.message}`);
+    }
+    if (!event || typeof event.type !== "string") {
+      throw new Error(`Line ${index + 1} isn't an event (no "type")`);
+    }
+    events.push(event);
+  });
+  if (events.length === 0) throw new Error("The file doesn't contain any events");
+  return events;
+}
@@ -0,0 +1,301 @@
+// client/lib/exporters.js
+
+// Render a conversation for sharing: Markdown, JSON, standalone HTML and SRT/WebVTT captions.
+//
+// `conversation` is a history record (see buildSessionRecord in historyStore.js):
+// { title, startedAt, endedAt, model, voice, instructions, items, usage }. It may also
+// carry `captionsStartAt`, the epoch ms that caption time 0 refers to (e.g. when the
+// audio recording started), so the captions line up with a downloaded recording.
+
+export const EXPORT_FORMATS = [
+  { id: "markdown", name: "Markdown", extension: "md", type: "text/markdown" },
+  { id: "json", name: "JSON", extension: "json", type: "application/json" },
+  { id: "html", name: "HTML", extension: "html", type: "text/html" },
+  { id: "srt", name: "SRT captions", extension: "srt", type: "application/x-subrip" },
+  { id: "vtt", name: "WebVTT captions", extension: "vtt", type: "text/vtt" },
+];
+
+const EXPORT_FORMAT_VERSION = 1;
+const MAX_CAPTION_CHARS = 84; // Two lines of ~42 characters
+const MIN_CAPTION_MS = 1200;
+const MS_PER_CAPTION_CHAR = 60; // Roughly speaking speed, for items without a usable duration
+
+function speakerName(role) {
+  if (role === "user") return "User";
+  if (role === "assistant") return "Assistant";
+  return role ? role[0].toUpperCase() + role.slice(1) : "Unknown";
+}
+
+function formatClock(ms) {
+  return new Date(ms).toLocaleTimeString();
+}
+
+function formatItemTime(item) {
+  return item.startMs ? ` (${formatClock(item.startMs)})` : "";
+}
+
+function prettyJson(text) {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (error) {
+    return text;
+  }
+}
+
+// A fence longer than any backtick run in the content
+function codeFence(text) {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map((run) => run.length));
+  return "`".repeat(longest + 1);
+}
+
+function codeBlock(text, language = "") {
+  const fence = codeFence(text);
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+function metadataLines(conversation) {
+  return [
+    ["Started", conversation.startedAt && new Date(conversation.startedAt).toLocaleString()],
+    ["Ended", conversation.endedAt && new Date(conversation.endedAt).toLocaleString()],
+    ["Model", conversation.model],
+    ["Voice", conversation.voice],
+  ].filter(([, value]) => value);
+}
+
+function messageText(item) {
+  if (item.text) return item.text;
+  return item.transcriptionError ? `(audio - transcription failed: ${item.transcriptionError})` : "(audio)";
+}
+
+export function toMarkdown(conversation) {
+  const lines = [`# ${conversation.title || "Conversation"}`, ""];
+  metadataLines(conversation).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+  lines.push("");
+
+  if (conversation.instructions) {
+    lines.push("<details>", "<summary>Instructions</summary>", "", codeBlock(conversation.instructions), "", "</details>", "");
+  }
+
+  conversation.items.forEach((item) => {
+    if (item.type === "function_call") {
+      // GitHub and most viewers render <details> as a collapsible section
+      lines.push(
+        "<details>",
+        `<summary>Tool call: <code>${escapeHtml(item.name)}</code>${formatItemTime(item)}</summary>`,
+        "",
+        "**Arguments**",
+        "",
+        codeBlock(prettyJson(item.arguments || "{}"), "json"),
+        "",
+      );
+      if (item.output !== null && item.output !== undefined) {
+        lines.push("**Output**", "", codeBlock(item.output), "");
+      }
+      lines.push("</details>", "");
+      return;
+    }
+
+    lines.push(`**${speakerName(item.role)}**${formatItemTime(item)}${item.truncated ? " _(interrupted)_" : ""}`, "");
+    lines.push(messageText(item), "");
+  });
+
+  return lines.join("\n");
+}
+
+export function toJson(conversation) {
+  return JSON.stringify({
+    format: "realtime-conversation",
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    title: conversation.title,
+    startedAt: conversation.startedAt ? new Date(conversation.startedAt).toISOString() : null,
+    endedAt: conversation.endedAt ? new Date(conversation.endedAt).toISOString() : null,
+    model: conversation.model || null,
+    voice: conversation.voice || null,
+    instructions: conversation.instructions || "",
+    usage: conversation.usage?.total || null,
+    items: conversation.items.map((item) => ({
+      id: item.id,
+      type: item.type,
+      ...(item.type === "function_call"
+        ? { name: item.name, callId: item.callId, arguments: item.arguments, output: item.output ?? null }
+        : { role: item.role, text: item.text, truncated: !!item.truncated, transcriptionError: item.transcriptionError || null }),
+      startedAt: item.startMs ? new Date(item.startMs).toISOString() : null,
+      endedAt: item.endMs ? new Date(item.endMs).toISOString() : null,
+    })),
+  }, null, 2);
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const HTML_STYLES = `
+  body { font-family: system-ui, -apple-system, sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #1f2937; background: #fff; }
+  h1 { font-size: 1.4rem; margin-bottom: 0.25rem; }
+  .meta { color: #6b7280; font-size: 0.85rem; margin-bottom: 1.5rem; }
+  .item { display: flex; margin: 0.5rem 0; }
+  .item.user { justify-content: flex-end; }
+  .bubble { max-width: 80%; padding: 0.5rem 0.75rem; border-radius: 0.6rem; font-size: 0.95rem; white-space: pre-wrap; overflow-wrap: anywhere; }
+  .user .bubble { background: #3b82f6; color: #fff; }
+  .assistant .bubble { background: #f3f4f6; }
+  .time { display: block; font-size: 0.7rem; opacity: 0.7; margin-bottom: 0.2rem; }
+  .note { font-style: italic; opacity: 0.75; }
+  details { border: 1px solid #e5e7eb; border-radius: 0.6rem; padding: 0.4rem 0.75rem; max-width: 80%; font-size: 0.9rem; }
+  summary { cursor: pointer; }
+  pre { background: #f9fafb; padding: 0.5rem; border-radius: 0.4rem; overflow-x: auto; font-size: 0.8rem; white-space: pre-wrap; }
+  @media (prefers-color-scheme: dark) {
+    body { background: #111827; color: #e5e7eb; }
+    .assistant .bubble { background: #1f2937; }
+    details { border-color: #374151; }
+    pre { background: #0b1220; }
+  }`;
+
+export function toHtml(conversation) {
+  const title = escapeHtml(conversation.title || "Conversation");
+  const meta = metadataLines(conversation).map(([label, value]) => `${label}: ${escapeHtml(value)}`).join(" · ");
+
+  const body = conversation.items.map((item) => {
+    const time = item.startMs ? `<span class="time">${escapeHtml(formatClock(item.startMs))}</span>` : "";
+    if (item.type === "function_call") {
+      const output = item.output !== null && item.output !== undefined
+        ? `<div>Output</div><pre>${escapeHtml(item.output)}</pre>`
+        : "";
+      return `<div class="item tool"><details><summary>${time}Tool call: <code>${escapeHtml(item.name)}</code></summary>`
+        + `<div>Arguments</div><pre>${escapeHtml(prettyJson(item.arguments || "{}"))}</pre>${output}</details></div>`;
+    }
+    const text = item.text ? escapeHtml(item.text) : `<span class="note">${escapeHtml(messageText(item))}</span>`;
+    const truncated = item.truncated ? ` <span class="note">(interrupted)</span>` : "";
+    const role = item.role === "user" ? "user" : "assistant";
+    return `<div class="item ${role}"><div class="bubble">${time}${text}${truncated}</div></div>`;
+  }).join("\n");
+
+  const instructions = conversation.instructions
+    ? `<details><summary>Instructions</summary><pre>${escapeHtml(conversation.instructions)}</pre></details>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>${HTML_STYLES}
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+<div class="meta">${meta}</div>
+${instructions}
+${body}
+</body>
+</html>
+`;
+}
+
+// Split long text into caption-sized chunks at word boundaries
+function splitCaption(text) {
+  const chunks = [];
+  let current = "";
+  text.replace(/\s+/g, " ").trim().split(" ").forEach((word) => {
+    if (current && current.length + word.length + 1 > MAX_CAPTION_CHARS) {
+      chunks.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  });
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Caption cues { startMs, endMs, speaker, text }, relative to captionsStartAt (or the
+// session start). Items saved before timings were recorded are laid out back to back.
+export function buildCaptionCues(conversation) {
+  const messages = conversation.items.filter((item) => item.type === "message" && item.text?.trim());
+  const origin = conversation.captionsStartAt || conversation.startedAt || messages.find((item) => item.startMs)?.startMs || 0;
+
+  const cues = [];
+  let cursor = 0;
+  messages.forEach((item, index) => {
+    const chunks = splitCaption(item.text);
+    const readingMs = Math.max(MIN_CAPTION_MS, item.text.length * MS_PER_CAPTION_CHAR);
+    const start = item.startMs ? Math.max(0, item.startMs - origin) : cursor;
+    let end = item.endMs ? item.endMs - origin : start;
+    // Assistant audio keeps playing after its transcript has finished streaming
+    if (item.role === "assistant" || end - start < MIN_CAPTION_MS * chunks.length) {
+      end = Math.max(end, start + readingMs);
+    }
+
+    // Don't run into the next timed item
+    const nextStart = messages[index + 1]?.startMs ? messages[index + 1].startMs - origin : null;
+    if (nextStart !== null && nextStart > start && end > nextStart) end = nextStart;
+
+    // Share the item's time between its chunks by length
+    const totalChars = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    let chunkStart = start;
+    chunks.forEach((chunk, chunkIndex) => {
+      const chunkEnd = chunkIndex === chunks.length - 1
+        ? end
+        : chunkStart + Math.round((end - start) * (chunk.length / totalChars));
+      cues.push({ startMs: chunkStart, endMs: chunkEnd, speaker: speakerName(item.role), text: chunk });
+      chunkStart = chunkEnd;
+    });
+    cursor = end;
+  });
+  return cues;
+}
+
+function formatCueTime(ms, separator) {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+}
+
+export function toSrt(conversation) {
+  return buildCaptionCues(conversation)
+    .map((cue, index) => [
+      index + 1,
+      `${formatCueTime(cue.startMs, ",")} --> ${formatCueTime(cue.endMs, ",")}`,
+      `${cue.speaker}: ${cue.text}`,
+      "",
+    ].join("\n"))
+    .join("\n");
+}
+
+export function toVtt(conversation) {
+  const cues = buildCaptionCues(conversation).map((cue) => [
+    `${formatCueTime(cue.startMs, ".")} --> ${formatCueTime(cue.endMs, ".")}`,
+    `<v ${cue.speaker}>${cue.text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")}`,
+    "",
+  ].join("\n"));
+  return ["WEBVTT", "", ...cues].join("\n");
+}
+
+const RENDERERS = {
+  markdown: toMarkdown,
+  json: toJson,
+  html: toHtml,
+  srt: toSrt,
+  vtt: toVtt,
+};
+
+// { text, filename, type } ready for downloadText
+export function exportConversation(conversation, formatId) {
+  const format = EXPORT_FORMATS.find((entry) => entry.id === formatId);
+  if (!format) throw new Error(`Unknown export format: ${formatId}`);
+
+  const started = new Date(conversation.startedAt || Date.now()).toISOString().replace(/[:.]/g, "-").slice(0, 19);
+  return {
+    text: RENDERERS[format.id](conversation),
+    filename: `realtime-conversation-${started}.${format.extension}`,
+    type: format.type,
+  };
+}
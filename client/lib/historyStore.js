@@ -0,0 +1,199 @@
+// client/lib/historyStore.js
+
+// Conversation history kept in IndexedDB, so sessions survive a disconnect or reload.
+//
+// One record per session: metadata (voice, instructions, model, start/end time),
+// the conversation items from getConversationItems() (messages and tool calls)
+// and the token usage. Records are rewritten while the session runs.
+//
+// A second store archives the raw events that no longer fit in App's in-memory event
+// buffer (see eventBuffer.js), keyed by session id, so the full log can be rebuilt.
+// When a session ends the rest of the buffer is added, so the complete event log of
+// past sessions can still be exported.
+
+import { getConversationItems } from "./conversation";
+import { getConfirmedSession } from "./sessionConfig";
+import { loadPriceTable, findPriceKey, getSessionUsage } from "./usage";
+
+const DB_NAME = "realtime-ui";
+const DB_VERSION = 2;
+const SESSIONS_STORE = "sessions";
+const EVENTS_STORE = "events";
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
+          const store = db.createObjectStore(SESSIONS_STORE, { keyPath: "id" });
+          store.createIndex("startedAt", "startedAt");
+        }
+        // Added in version 2
+        if (!db.objectStoreNames.contains(EVENTS_STORE)) {
+          const store = db.createObjectStore(EVENTS_STORE, { autoIncrement: true });
+          store.createIndex("sessionId", "sessionId");
+        }
+      };
+      request.onsuccess = () => {
+        // Let a newer version open in another tab
+        request.result.onversionchange = () => {
+          request.result.close();
+          dbPromise = null;
+        };
+        resolve(request.result);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// Run `callback(store)` in a transaction and resolve with the request's result
+async function withStore(mode, callback, storeName = SESSIONS_STORE) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+export function getSessionId(startedAt) {
+  return `session_${startedAt}`;
+}
+
+function getDefaultTitle(items, startedAt) {
+  const firstUserText = items.find((item) => item.type === "message" && item.role === "user" && item.text)?.text;
+  if (firstUserText) {
+    return firstUserText.length > 60 ? `${firstUserText.slice(0, 57)}...` : firstUserText;
+  }
+  return `Session ${new Date(startedAt).toLocaleString()}`;
+}
+
+// Build the stored record for a session from its events (newest first, as kept in App)
+export function buildSessionRecord({ events, startedAt, endedAt = null, voice, instructions, model, transport, resumedFrom = null }) {
+  const items = getConversationItems(events);
+  const sessionModel = model || getConfirmedSession(events)?.model || null;
+  const priceTable = loadPriceTable();
+  const priceKey = findPriceKey(priceTable, sessionModel);
+  const usage = getSessionUsage(events, priceKey ? priceTable[priceKey] : null);
+
+  return {
+    id: getSessionId(startedAt),
+    title: getDefaultTitle(items, startedAt),
+    voice,
+    instructions,
+    model: sessionModel,
+    transport,
+    resumedFrom, // id of the session this one continued, if any
+    startedAt,
+    endedAt,
+    items,
+    usage,
+  };
+}
+
+// Insert or update a session. A title set by the user and a known end time are kept.
+export async function saveSession(record) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(SESSIONS_STORE, "readwrite");
+    const store = transaction.objectStore(SESSIONS_STORE);
+    const getRequest = store.get(record.id);
+    getRequest.onsuccess = () => {
+      const existing = getRequest.result;
+      store.put({
+        ...record,
+        title: existing?.customTitle ? existing.title : record.title,
+        customTitle: existing?.customTitle || false,
+        endedAt: record.endedAt ?? existing?.endedAt ?? null,
+      });
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+export function getSession(id) {
+  return withStore("readonly", (store) => store.get(id));
+}
+
+// All sessions, newest first
+export async function listSessions() {
+  const sessions = await withStore("readonly", (store) => store.getAll());
+  return (sessions || []).sort((a, b) => b.startedAt - a.startedAt);
+}
+
+export async function renameSession(id, title) {
+  const record = await getSession(id);
+  if (!record) return;
+  await withStore("readwrite", (store) => store.put({ ...record, title, customTitle: true }));
+}
+
+export async function deleteSession(id) {
+  await withStore("readwrite", (store) => store.delete(id));
+  await deleteArchivedEvents(id);
+}
+
+// Case-insensitive match against the title, message text and tool calls
+export function sessionMatches(record, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return true;
+  if (record.title?.toLowerCase().includes(needle)) return true;
+  return record.items.some((item) => (
+    item.type === "function_call"
+      ? `${item.name} ${item.arguments} ${item.output || ""}`.toLowerCase().includes(needle)
+      : item.text?.toLowerCase().includes(needle)
+  ));
+}
+
+// --- Archived events ---
+
+// Append events evicted from the in-memory buffer (oldest first)
+export async function archiveEvents(sessionId, events) {
+  if (events.length === 0) return;
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(EVENTS_STORE, "readwrite");
+    const store = transaction.objectStore(EVENTS_STORE);
+    events.forEach((event) => store.add({ sessionId, event }));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// A session's archived events, oldest first (keys increase in insertion order)
+export async function loadArchivedEvents(sessionId) {
+  const rows = await withStore(
+    "readonly",
+    (store) => store.index("sessionId").getAll(IDBKeyRange.only(sessionId)),
+    EVENTS_STORE,
+  );
+  return (rows || []).map((row) => row.event);
+}
+
+export async function deleteArchivedEvents(sessionId) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(EVENTS_STORE, "readwrite");
+    const request = transaction.objectStore(EVENTS_STORE).index("sessionId").openKeyCursor(IDBKeyRange.only(sessionId));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      transaction.objectStore(EVENTS_STORE).delete(cursor.primaryKey);
+      cursor.continue();
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
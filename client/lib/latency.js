@@ -0,0 +1,211 @@
+// client/lib/latency.js
+
+// Per-turn latency measured from the event stream (events as kept in App.jsx, newest first).
+//
+// A turn is one response. Its clock starts when the user stops speaking
+// (input_audio_buffer.speech_stopped from server VAD), or at the app's own response.create
+// for responses it requests (typed messages, tool follow-ups). Times come from the
+// timestampMs the app stamps on each event as it is sent or received, so they include
+// the network in both directions - which is what the user actually waits for.
+
+import { forEachEventOldestFirst } from "./eventBuffer";
+
+export const LATENCY_METRICS = [
+  { id: "toCreatedMs", name: "To response.created" },
+  { id: "toFirstDeltaMs", name: "To first audio/text" },
+  { id: "toDoneMs", name: "To response.done" },
+  { id: "toolRoundTripMs", name: "Tool call → output sent" },
+];
+
+const FIRST_DELTA_EVENTS = ["response.audio.delta", "response.audio_transcript.delta", "response.text.delta"];
+const HISTOGRAM_BUCKETS = 12;
+const BUCKET_SIZES_MS = [25, 50, 100, 250, 500, 1000, 2000, 5000, 10000];
+
+function elapsed(fromMs, toMs) {
+  return fromMs && toMs ? toMs - fromMs : null;
+}
+
+// Turns oldest first:
+// { responseId, trigger: "speech" | "client" | null, userItemId, startMs, createdMs, firstDeltaMs,
+//   doneMs, status, itemIds, toolCalls: [{ callId, itemId, name, argumentsDoneMs, outputSentMs, toolRoundTripMs }],
+//   toCreatedMs, toFirstDeltaMs, toDoneMs }
+export function getTurnLatencies(events) {
+  const turns = [];
+  const turnsByResponse = new Map();
+  const toolCalls = new Map(); // call_id -> tool call entry of its turn
+  let pendingStart = null; // What the next response.created is answering
+
+  forEachEventOldestFirst(events, (event) => {
+    const ms = event.timestampMs;
+    if (!ms) return;
+
+    if (event.source === "client") {
+      // A spoken turn keeps its speech_stopped start even if the app sends response.create itself
+      if (event.type === "response.create" && pendingStart?.trigger !== "speech") {
+        pendingStart = { trigger: "client", startMs: ms, userItemId: null };
+      }
+      if (event.type === "conversation.item.create" && event.item?.type === "function_call_output") {
+        const call = toolCalls.get(event.item.call_id);
+        if (call && !call.outputSentMs) {
+          call.outputSentMs = ms;
+          call.toolRoundTripMs = elapsed(call.argumentsDoneMs, ms);
+        }
+      }
+      return;
+    }
+
+    const turn = turnsByResponse.get(event.response_id || event.response?.id);
+    switch (event.type) {
+      case "input_audio_buffer.speech_stopped":
+        pendingStart = { trigger: "speech", startMs: ms, userItemId: event.item_id || null };
+        break;
+
+      case "response.created": {
+        const created = {
+          responseId: event.response?.id,
+          trigger: pendingStart?.trigger || null,
+          userItemId: pendingStart?.userItemId || null,
+          startMs: pendingStart?.startMs || null,
+          createdMs: ms,
+          firstDeltaMs: null,
+          doneMs: null,
+          status: null,
+          itemIds: [],
+          toolCalls: [],
+        };
+        turns.push(created);
+        turnsByResponse.set(created.responseId, created);
+        pendingStart = null;
+        break;
+      }
+
+      case "response.output_item.added":
+        if (!turn || !event.item?.id) break;
+        turn.itemIds.push(event.item.id);
+        if (event.item.type === "function_call") {
+          const call = {
+            callId: event.item.call_id,
+            itemId: event.item.id,
+            name: event.item.name,
+            argumentsDoneMs: null,
+            outputSentMs: null,
+            toolRoundTripMs: null,
+          };
+          turn.toolCalls.push(call);
+          toolCalls.set(call.callId, call);
+        }
+        break;
+
+      case "response.function_call_arguments.done":
+      case "response.output_item.done": {
+        const callId = event.call_id || (event.item?.type === "function_call" ? event.item.call_id : null);
+        const call = toolCalls.get(callId);
+        if (call && !call.argumentsDoneMs) call.argumentsDoneMs = ms;
+        break;
+      }
+
+      case "response.done":
+        if (!turn) break;
+        turn.doneMs = ms;
+        turn.status = event.response?.status || null;
+        break;
+
+      default:
+        if (turn && !turn.firstDeltaMs && FIRST_DELTA_EVENTS.includes(event.type)) {
+          turn.firstDeltaMs = ms;
+        }
+        break;
+    }
+  });
+
+  return turns.map((turn) => ({
+    ...turn,
+    toCreatedMs: elapsed(turn.startMs, turn.createdMs),
+    toFirstDeltaMs: elapsed(turn.startMs, turn.firstDeltaMs),
+    toDoneMs: elapsed(turn.startMs, turn.doneMs),
+  }));
+}
+
+// Item id -> { turn, toolCall } so the transcript can label messages and tool cards
+export function getLatencyByItem(turns) {
+  const byItem = new Map();
+  turns.forEach((turn) => {
+    turn.itemIds.forEach((itemId) => {
+      byItem.set(itemId, { turn, toolCall: turn.toolCalls.find((call) => call.itemId === itemId) || null });
+    });
+  });
+  return byItem;
+}
+
+// Measured values of one metric (tool round trips are per call, the rest per turn)
+export function getMetricValues(turns, metricId) {
+  const values = metricId === "toolRoundTripMs"
+    ? turns.flatMap((turn) => turn.toolCalls.map((call) => call.toolRoundTripMs))
+    : turns.map((turn) => turn[metricId]);
+  return values.filter((value) => value !== null && value !== undefined);
+}
+
+function percentile(sorted, ratio) {
+  return sorted[Math.min(sorted.length - 1, Math.ceil(ratio * sorted.length) - 1)];
+}
+
+export function summarizeLatency(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    median: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9),
+    max: sorted[sorted.length - 1],
+  };
+}
+
+// Equal-width buckets [{ fromMs, toMs, count }] with a round bucket size
+export function buildHistogram(values) {
+  if (values.length === 0) return [];
+  const max = Math.max(...values);
+  const bucketMs = BUCKET_SIZES_MS.find((size) => size * HISTOGRAM_BUCKETS > max) || BUCKET_SIZES_MS[BUCKET_SIZES_MS.length - 1];
+  const bucketCount = Math.min(HISTOGRAM_BUCKETS, Math.floor(max / bucketMs) + 1);
+
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({ fromMs: i * bucketMs, toMs: (i + 1) * bucketMs, count: 0 }));
+  values.forEach((value) => {
+    buckets[Math.min(bucketCount - 1, Math.floor(Math.max(0, value) / bucketMs))].count++;
+  });
+  return buckets;
+}
+
+export function formatLatency(ms) {
+  if (ms === null || ms === undefined) return "—";
+  return ms < 1000 ? `${Math.round(ms)} ms` : `${(ms / 1000).toFixed(2)} s`;
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per turn; tool calls are listed as name:ms in one column
+export function buildLatencyCsv(turns) {
+  const header = [
+    "response_id",
+    "trigger",
+    "status",
+    "started_at",
+    "to_response_created_ms",
+    "to_first_delta_ms",
+    "to_response_done_ms",
+    "tool_round_trips_ms",
+  ];
+  const rows = turns.map((turn) => [
+    turn.responseId,
+    turn.trigger,
+    turn.status,
+    new Date(turn.startMs || turn.createdMs).toISOString(),
+    turn.toCreatedMs,
+    turn.toFirstDeltaMs,
+    turn.toDoneMs,
+    turn.toolCalls.map((call) => `${call.name}:${call.toolRoundTripMs ?? ""}`).join(";"),
+  ]);
+  return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\n");
+}
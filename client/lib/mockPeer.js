@@ -0,0 +1,80 @@
+// client/lib/mockPeer.js
+
+// Stand-in for the Realtime API's WebRTC endpoint in mock mode (MOCK_REALTIME=true).
+//
+// The server has no WebRTC stack, so the SDP offer is answered by a second peer
+// connection in this page instead. Its end of the "oai-events" data channel is bridged
+// to the scripted mock over the WebSocket relay (server/realtimeRelay.js), and it sends
+// a silent track in place of the model's voice. On the app's side everything - the
+// token, the offer/answer, the data channel and the remote track - takes the same path
+// as with OpenAI.
+
+const RELAY_SESSION_EVENT = "relay.session"; // See server/realtimeRelay.js
+
+function waitForIceGathering(pc) {
+  return new Promise((resolve) => {
+    if (pc.iceGatheringState === "complete") {
+      resolve();
+      return;
+    }
+    pc.addEventListener("icegatheringstatechange", () => {
+      if (pc.iceGatheringState === "complete") resolve();
+    });
+  });
+}
+
+// Answer `offerSdp` and return the answer SDP. The stand-in closes itself once either
+// side goes away. `sessionOptions` are what /token takes.
+export async function answerWithMockPeer(offerSdp, { relayUrl, sessionOptions = {} }) {
+  const pc = new RTCPeerConnection();
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const audioCtx = new AudioContextClass();
+  const silence = audioCtx.createMediaStreamDestination();
+  const socket = new WebSocket(relayUrl);
+  let channel = null;
+  const toMock = []; // Queued until the relay socket opens
+  const toApp = []; // Queued until the data channel opens
+
+  function close() {
+    if (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING) socket.close();
+    channel?.close();
+    pc.close();
+    audioCtx.close().catch(() => {});
+  }
+
+  socket.onopen = () => {
+    socket.send(JSON.stringify({ type: RELAY_SESSION_EVENT, session: sessionOptions }));
+    toMock.splice(0).forEach((message) => socket.send(message));
+  };
+  socket.onmessage = (e) => {
+    if (channel?.readyState === "open") channel.send(e.data);
+    else toApp.push(e.data);
+  };
+  socket.onclose = close;
+
+  pc.ondatachannel = (e) => {
+    channel = e.channel;
+    channel.onopen = () => toApp.splice(0).forEach((message) => channel.send(message));
+    channel.onmessage = (message) => {
+      if (socket.readyState === WebSocket.OPEN) socket.send(message.data);
+      else toMock.push(message.data);
+    };
+    channel.onclose = close;
+  };
+  pc.onconnectionstatechange = () => {
+    if (pc.connectionState === "failed" || pc.connectionState === "closed") close();
+  };
+
+  try {
+    await pc.setRemoteDescription({ type: "offer", sdp: offerSdp });
+    // Reuses the audio transceiver from the offer, like the model's voice would
+    pc.addTrack(silence.stream.getAudioTracks()[0], silence.stream);
+    await pc.setLocalDescription(await pc.createAnswer());
+    // No trickle ICE here, so the answer has to carry the candidates
+    await waitForIceGathering(pc);
+  } catch (error) {
+    close();
+    throw error;
+  }
+  return pc.localDescription.sdp;
+}
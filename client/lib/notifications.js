@@ -0,0 +1,125 @@
+// client/lib/notifications.js
+
+// App-wide notifications (toasts) and the error classification behind them.
+//
+// Anything can raise a notification with notify(); the <Notifications /> component
+// listens for the window event and renders it, the same way ToolCallHistory listens
+// for "toolcall-history-updated". A notification can point at an entry in the event
+// log; App switches to the log and reveals it when it receives the "focus-event" window event.
+
+export const NOTIFICATION_EVENT = "app-notification";
+export const FOCUS_EVENT = "focus-event";
+
+export const ERROR_CATEGORIES = {
+  auth: "Authentication",
+  token: "Session token",
+  microphone: "Microphone",
+  sdp: "WebRTC negotiation",
+  data_channel: "Connection",
+  server: "Server error",
+  rate_limit: "Rate limit",
+  tool: "Tool failure",
+};
+
+// level: "error" | "warning" | "info"
+export function notify({ level = "error", category = null, title, message = "", suggestion = null, eventId = null }) {
+  if (typeof window === "undefined") return;
+  window.dispatchEvent(new CustomEvent(NOTIFICATION_EVENT, {
+    detail: {
+      id: crypto.randomUUID(),
+      createdAt: Date.now(),
+      level,
+      category,
+      title,
+      message,
+      suggestion,
+      eventId,
+    },
+  }));
+}
+
+// Ask App to show an event in the event log
+export function focusEvent(eventId) {
+  window.dispatchEvent(new CustomEvent(FOCUS_EVENT, { detail: { eventId } }));
+}
+
+// Error with the HTTP status of the request that failed, so it can be classified
+export function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Classify an exception thrown while connecting. `stage` is the connection step
+// that was running: "token", "microphone", "sdp" or "data_channel".
+export function classifyConnectionError(error, stage) {
+  if (error.status === 401 || error.status === 403) {
+    return {
+      category: "auth",
+      title: stage === "sdp" ? "The session key was rejected" : "The OpenAI API key was rejected",
+      suggestion: stage === "sdp"
+        ? "The ephemeral key may have expired. Try connecting again."
+        : "Check OPENAI_API_KEY in your .env file and restart the server.",
+    };
+  }
+
+  switch (stage) {
+    case "microphone":
+      return {
+        category: "microphone",
+        title: error.name === "NotFoundError" ? "No microphone found" : "Microphone unavailable",
+        suggestion: "Allow microphone access in your browser's site settings, or start a Text only session.",
+      };
+    case "token":
+      return {
+        category: "token",
+        title: "Couldn't create a session token",
+        suggestion: "Make sure the server is running and check its logs for the OpenAI response.",
+      };
+    case "sdp":
+      return {
+        category: "sdp",
+        title: "WebRTC negotiation failed",
+        suggestion: "Try the WebSocket connection option; a firewall or VPN may be blocking WebRTC.",
+      };
+    default:
+      return {
+        category: "data_channel",
+        title: "Connection failed",
+        suggestion: "Check your network connection and try again.",
+      };
+  }
+}
+
+// Suggested actions for known Realtime API error codes
+const SERVER_ERROR_HINTS = {
+  invalid_api_key: { category: "auth", suggestion: "Check OPENAI_API_KEY in your .env file and restart the server." },
+  rate_limit_exceeded: { category: "rate_limit", suggestion: "Wait for the limit to reset; see the rate limit bars." },
+  insufficient_quota: { category: "rate_limit", suggestion: "Check your OpenAI plan and billing details." },
+  session_expired: { category: "server", suggestion: "Sessions have a maximum length. Start a new session." },
+  conversation_already_has_active_response: {
+    category: "server",
+    suggestion: "Wait for the current response to finish, or interrupt it first.",
+  },
+  unknown_parameter: { category: "server", suggestion: "Check the fields of the client event that caused this." },
+  invalid_value: { category: "server", suggestion: "Check the values in the client event that caused this." },
+};
+
+// Classify a server `error` event
+export function classifyServerError(event) {
+  const error = event.error || {};
+  const hint = SERVER_ERROR_HINTS[error.code]
+    || (error.type === "authentication_error" && SERVER_ERROR_HINTS.invalid_api_key)
+    || (error.type === "relay_error" && { category: "data_channel", suggestion: "The relay lost its connection to OpenAI. It will reconnect automatically." })
+    || (error.type === "server_error" && { category: "server", suggestion: "This is on OpenAI's side. Retry in a moment." })
+    || { category: "server", suggestion: "Open the related event for details." };
+
+  return {
+    category: hint.category,
+    title: error.code ? `${ERROR_CATEGORIES[hint.category]}: ${error.code}` : ERROR_CATEGORIES[hint.category],
+    message: error.message || "The server reported an error.",
+    suggestion: hint.suggestion,
+    // Point at the client event that caused it when the server says which one
+    eventId: error.event_id || event.event_id,
+  };
+}
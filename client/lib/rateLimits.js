@@ -0,0 +1,41 @@
+// client/lib/rateLimits.js
+
+// Helpers for the limits reported by rate_limits.updated events.
+//
+// The server sends the full list (requests, tokens, ...) after each response.
+// reset_seconds is relative to when the event arrived, so the receive time is
+// kept alongside the limits to work out when each one resets.
+
+export const RATE_LIMIT_WARNING_RATIO = 0.1; // Warn when less than 10% of a limit remains
+
+// Store shape kept in App state: { receivedAt, limits: [{ name, limit, remaining, reset_seconds }] }
+export function fromRateLimitsEvent(event, receivedAt = Date.now()) {
+  return { receivedAt, limits: event.rate_limits || [] };
+}
+
+export function getResetAt(rateLimits, limit) {
+  return rateLimits.receivedAt + (limit.reset_seconds || 0) * 1000;
+}
+
+// Whether a limit is used up and hasn't reset yet
+export function isLimitExhausted(rateLimits, limit, now = Date.now()) {
+  return limit.remaining <= 0 && now < getResetAt(rateLimits, limit);
+}
+
+export function isLimitLow(limit) {
+  return limit.limit > 0 && limit.remaining / limit.limit < RATE_LIMIT_WARNING_RATIO;
+}
+
+// Limits that are running low and haven't reset yet
+export function getLowLimits(rateLimits, now = Date.now()) {
+  if (!rateLimits) return [];
+  return rateLimits.limits.filter((limit) => isLimitLow(limit) && now < getResetAt(rateLimits, limit));
+}
+
+// How long to hold off on new requests, in ms (0 when nothing is exhausted)
+export function getRateLimitDelay(rateLimits, now = Date.now()) {
+  if (!rateLimits) return 0;
+  return rateLimits.limits.reduce((delay, limit) => (
+    isLimitExhausted(rateLimits, limit, now) ? Math.max(delay, getResetAt(rateLimits, limit) - now) : delay
+  ), 0);
+}
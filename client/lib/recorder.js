@@ -0,0 +1,184 @@
+// client/lib/recorder.js
+
+// Session audio recording with MediaRecorder.
+//
+// Each track is routed through its own MediaStreamDestination, so the recording
+// keeps running when a reconnect swaps the underlying mic/remote streams. Three
+// recordings are made: the microphone, the assistant (remote) audio and a mix of both.
+
+export const RECORDING_TRACKS = [
+  { id: "mixed", name: "Mixed" },
+  { id: "microphone", name: "Microphone" },
+  { id: "assistant", name: "Assistant" },
+];
+
+// First container/codec the browser can record (Safari only does mp4)
+function getSupportedMimeType() {
+  if (typeof MediaRecorder === "undefined") return null;
+  const candidates = ["audio/webm;codecs=opus", "audio/webm", "audio/mp4"];
+  return candidates.find((type) => MediaRecorder.isTypeSupported(type)) || "";
+}
+
+export function isRecordingSupported() {
+  return getSupportedMimeType() !== null;
+}
+
+export function createSessionRecorder() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const audioCtx = new AudioContextClass();
+  const mimeType = getSupportedMimeType();
+
+  const destinations = {};
+  const recorders = {};
+  const chunks = {};
+  RECORDING_TRACKS.forEach(({ id }) => {
+    destinations[id] = audioCtx.createMediaStreamDestination();
+    chunks[id] = [];
+  });
+
+  const sources = { microphone: null, assistant: null };
+  let startedAt = null;
+
+  // Route a stream into its own track and the mix, replacing any previous stream
+  function attach(trackId, stream) {
+    if (sources[trackId]) {
+      sources[trackId].disconnect();
+      sources[trackId] = null;
+    }
+    if (!stream || stream.getAudioTracks().length === 0) return;
+
+    const source = audioCtx.createMediaStreamSource(stream);
+    source.connect(destinations[trackId]);
+    source.connect(destinations.mixed);
+    sources[trackId] = source;
+  }
+
+  return {
+    get startedAt() {
+      return startedAt;
+    },
+
+    start() {
+      audioCtx.resume().catch(() => {});
+      RECORDING_TRACKS.forEach(({ id }) => {
+        const recorder = new MediaRecorder(destinations[id].stream, mimeType ? { mimeType } : undefined);
+        recorder.ondataavailable = (e) => {
+          if (e.data.size > 0) chunks[id].push(e.data);
+        };
+        recorder.start(1000); // Collect in 1s chunks so little is lost if the tab dies
+        recorders[id] = recorder;
+      });
+      startedAt = Date.now();
+    },
+
+    attachMicrophone(stream) {
+      attach("microphone", stream);
+    },
+
+    attachAssistant(stream) {
+      attach("assistant", stream);
+    },
+
+    // Stop all recorders and resolve with one Blob per track
+    async stop() {
+      await Promise.all(
+        Object.values(recorders).map((recorder) => new Promise((resolve) => {
+          if (recorder.state === "inactive") {
+            resolve();
+            return;
+          }
+          recorder.onstop = resolve;
+          recorder.stop();
+        })),
+      );
+      audioCtx.close().catch(() => {});
+
+      const type = mimeType || "audio/webm";
+      const tracks = {};
+      RECORDING_TRACKS.forEach(({ id }) => {
+        tracks[id] = new Blob(chunks[id], { type });
+      });
+
+      return { startedAt, endedAt: Date.now(), mimeType: type, tracks };
+    },
+  };
+}
+
+// Encode decoded audio as 16-bit PCM WAV
+export function encodeWav(audioBuffer) {
+  const { numberOfChannels, sampleRate, length } = audioBuffer;
+  const bytesPerSample = 2;
+  const dataSize = length * numberOfChannels * bytesPerSample;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true); // PCM chunk size
+  view.setUint16(20, 1, true); // PCM format
+  view.setUint16(22, numberOfChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * numberOfChannels * bytesPerSample, true);
+  view.setUint16(32, numberOfChannels * bytesPerSample, true);
+  view.setUint16(34, 16, true);
+  writeString(36, "data");
+  view.setUint32(40, dataSize, true);
+
+  const channels = [];
+  for (let c = 0; c < numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c));
+
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (let c = 0; c < numberOfChannels; c++) {
+      const s = Math.max(-1, Math.min(1, channels[c][i]));
+      view.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Blob([view], { type: "audio/wav" });
+}
+
+// Decode a recorded WebM/Opus blob and re-encode it as WAV
+export async function convertToWav(blob) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const audioCtx = new AudioContextClass();
+  try {
+    const audioBuffer = await audioCtx.decodeAudioData(await blob.arrayBuffer());
+    return encodeWav(audioBuffer);
+  } finally {
+    audioCtx.close().catch(() => {});
+  }
+}
+
+// Format an offset into the recording as m:ss.mmm
+export function formatRecordingOffset(ms) {
+  const sign = ms < 0 ? "-" : "";
+  const abs = Math.abs(Math.round(ms));
+  const minutes = Math.floor(abs / 60000);
+  const seconds = Math.floor((abs % 60000) / 1000);
+  const millis = abs % 1000;
+  return `${sign}${minutes}:${String(seconds).padStart(2, "0")}.${String(millis).padStart(3, "0")}`;
+}
+
+// Event log entries with their position in the recording, oldest first
+export function buildEventMarkers(events, startedAt) {
+  return events
+    .filter((event) => event.timestampMs)
+    .map((event) => ({
+      offset_ms: event.timestampMs - startedAt,
+      offset: formatRecordingOffset(event.timestampMs - startedAt),
+      time: new Date(event.timestampMs).toISOString(),
+      source: event.source,
+      type: event.type,
+      event_id: event.event_id,
+      response_id: event.response_id || event.response?.id,
+      item_id: event.item_id || event.item?.id,
+    }))
+    .reverse();
+}
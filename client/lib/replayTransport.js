@@ -0,0 +1,171 @@
+// client/lib/replayTransport.js
+
+// Offline replay of a recorded event log (see eventLogFile.js), for reproducing a
+// session without a connection.
+//
+// Like createWebSocketTransport(), the object returned by createReplayTransport() looks
+// like the RTCDataChannel App.jsx normally stores as its "data channel". Recorded server
+// events are delivered through `onmessage`, so they run through the same handlers as in
+// a live session (and from there reach the chat, ToolPanel and the history). Recorded
+// client events are passed to `onclientevent` so they're logged as well; whatever the
+// app itself sends during the replay goes nowhere, since the recording already has it.
+//
+// Events keep their recorded spacing, divided by the speed; Infinity plays them as fast
+// as the page can take them. They also keep their recorded `timestampMs`/`timestamp`,
+// which App logs as is, so latencies, the timeline and the history come out the same
+// at any speed. Nothing plays until App calls start() once its handlers are attached.
+
+import { getEventSource } from "./eventFilters";
+
+export const REPLAY_SPEEDS = [
+  { value: 1, name: "1× (real time)" },
+  { value: 2, name: "2×" },
+  { value: 5, name: "5×" },
+  { value: 20, name: "20×" },
+  { value: Infinity, name: "As fast as possible" },
+];
+
+const MAX_EVENTS_PER_TICK = 200; // Yield to the page regularly, even at top speed
+
+// Function call outputs the original session sent, by call_id (events oldest first)
+export function getRecordedToolOutputs(events) {
+  const outputs = new Map();
+  events.forEach((event) => {
+    if (event.type === "conversation.item.create" && event.item?.type === "function_call_output") {
+      outputs.set(event.item.call_id, event.item.output);
+    }
+  });
+  return outputs;
+}
+
+// `events` oldest first, as returned by parseEventLogJsonl()
+export function createReplayTransport({ events, speed = 1 }) {
+  // Recorded times, never going backwards (events without one play with the previous)
+  const times = [];
+  events.forEach((event, i) => {
+    const previous = i > 0 ? times[i - 1] : 0;
+    times.push(Number.isFinite(event.timestampMs) ? Math.max(previous, event.timestampMs) : previous);
+  });
+  const startTime = times[0] ?? 0;
+
+  let state = "connecting";
+  let index = 0; // Next event to play
+  let paused = false;
+  let finished = false;
+  let timer = null;
+  // The recording time reached at `realTime`; it advances `speed` times faster than the clock
+  let clock = { position: startTime, realTime: 0 };
+
+  function getPosition() {
+    if (paused || state !== "open") return clock.position;
+    if (speed === Infinity) return times[Math.min(index, times.length - 1)] ?? clock.position;
+    return clock.position + (Date.now() - clock.realTime) * speed;
+  }
+
+  function resetClock() {
+    clock = { position: getPosition(), realTime: Date.now() };
+  }
+
+  // Hand an event to App with its recorded times; App sets the source again
+  function play(event) {
+    const { source, ...payload } = event;
+    if (getEventSource(event) === "client") {
+      transport.onclientevent?.(payload);
+    } else {
+      transport.onmessage?.({ data: JSON.stringify(payload) });
+    }
+  }
+
+  function tick() {
+    timer = null;
+    const reached = speed === Infinity ? Infinity : getPosition();
+    let count = 0;
+    while (state === "open" && !paused && index < events.length && times[index] <= reached && count < MAX_EVENTS_PER_TICK) {
+      play(events[index++]);
+      count++;
+    }
+    schedule();
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    if (paused || state !== "open") return;
+    if (index >= events.length) {
+      if (!finished) {
+        finished = true;
+        transport.onended?.();
+      }
+      return;
+    }
+    const wait = speed === Infinity ? 0 : Math.max(0, (times[index] - getPosition()) / speed);
+    timer = setTimeout(tick, wait);
+  }
+
+  const transport = {
+    kind: "replay",
+    onopen: null,
+    onmessage: null,
+    onclose: null,
+    onclientevent: null,
+    onended: null,
+
+    get readyState() {
+      return state;
+    },
+
+    // Where the replay is, for progress displays
+    get progress() {
+      return {
+        played: index,
+        total: events.length,
+        positionMs: Math.min(getPosition(), times[times.length - 1] ?? startTime) - startTime,
+        durationMs: (times[times.length - 1] ?? startTime) - startTime,
+        speed,
+        paused,
+        finished,
+      };
+    },
+
+    // Nothing is sent anywhere during a replay
+    send() {},
+
+    start() {
+      if (state !== "connecting") return;
+      state = "open";
+      clock = { position: startTime, realTime: Date.now() };
+      transport.onopen?.();
+      schedule();
+    },
+
+    pause() {
+      if (paused) return;
+      resetClock();
+      paused = true;
+      schedule();
+    },
+
+    resume() {
+      if (!paused) return;
+      paused = false;
+      clock = { ...clock, realTime: Date.now() };
+      schedule();
+    },
+
+    setSpeed(newSpeed) {
+      resetClock();
+      speed = newSpeed;
+      schedule();
+    },
+
+    close() {
+      if (state === "closed") return;
+      state = "closed";
+      clearTimeout(timer);
+      timer = null;
+      transport.onclose?.();
+    },
+  };
+
+  return transport;
+}
@@ -0,0 +1,99 @@
+// client/lib/resume.js
+
+// Planning what to carry over when a saved conversation is resumed in a new session.
+//
+// Only message text is seeded with conversation.item.create (audio can't be
+// recreated, and tool calls aren't carried over). The newest messages are kept whole up to a token
+// budget; anything older is folded into one abbreviated summary item so the model
+// still knows roughly what was discussed.
+
+import { buildReplayEvents, RESUME_EVENT_PREFIX } from "./conversation";
+
+export const RESUME_TOKEN_BUDGET = 8000; // Rough budget for the carried-over messages
+const SUMMARY_TOKEN_BUDGET = 1000;
+const SUMMARY_SNIPPET_CHARS = 160;
+
+// Rough token estimate (about four characters per token for English text)
+export function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+function snippet(text) {
+  const flat = text.replace(/\s+/g, " ").trim();
+  return flat.length > SUMMARY_SNIPPET_CHARS ? `${flat.slice(0, SUMMARY_SNIPPET_CHARS - 3)}...` : flat;
+}
+
+// One line per dropped message, newest kept first when the summary itself runs out of room
+function buildSummary(messages) {
+  const lines = [];
+  let used = 0;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const line = `${messages[i].role === "user" ? "User" : "Assistant"}: ${snippet(messages[i].text)}`;
+    const tokens = estimateTokens(line);
+    if (used + tokens > SUMMARY_TOKEN_BUDGET) break;
+    used += tokens;
+    lines.unshift(line);
+  }
+
+  const omitted = messages.length - lines.length;
+  return [
+    "Summary of the earlier part of this conversation (abbreviated, resumed from a previous session):",
+    omitted > 0 ? `(${omitted} older messages omitted)` : null,
+    ...lines,
+  ].filter(Boolean).join("\n");
+}
+
+// Decide which of a saved session's items to carry over
+export function planResume(items, { tokenBudget = RESUME_TOKEN_BUDGET } = {}) {
+  const messages = items.filter((item) => item.type === "message" && item.role !== "system" && item.text?.trim());
+
+  // Keep whole messages from the end while they fit
+  let used = 0;
+  let firstKept = messages.length;
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const tokens = estimateTokens(messages[i].text);
+    if (used + tokens > tokenBudget) break;
+    used += tokens;
+    firstKept = i;
+  }
+
+  let carried = messages.slice(firstKept);
+  let trimmedLatest = false;
+  // A single message bigger than the whole budget still carries over, cut to its end
+  if (carried.length === 0 && messages.length > 0) {
+    const latest = messages[messages.length - 1];
+    carried = [{ ...latest, text: `...${latest.text.slice(-tokenBudget * 4)}` }];
+    used = tokenBudget;
+    firstKept = messages.length - 1;
+    trimmedLatest = true;
+  }
+
+  const dropped = messages.slice(0, firstKept);
+  const summary = dropped.length > 0 ? buildSummary(dropped) : null;
+
+  return {
+    carried,
+    summary,
+    droppedCount: dropped.length,
+    trimmedLatest,
+    skippedToolCalls: items.filter((item) => item.type === "function_call").length,
+    skippedAudio: items.filter((item) => item.type === "message" && !item.text?.trim()).length,
+    estimatedTokens: used + estimateTokens(summary),
+  };
+}
+
+// conversation.item.create events that seed the new session: the summary first, then the carried messages
+export function buildResumeEvents(plan) {
+  const summaryEvents = plan.summary
+    ? [{
+      type: "conversation.item.create",
+      event_id: `${RESUME_EVENT_PREFIX}${crypto.randomUUID()}`,
+      item: {
+        type: "message",
+        role: "system",
+        content: [{ type: "input_text", text: plan.summary }],
+      },
+    }]
+    : [];
+  return [...summaryEvents, ...buildReplayEvents(plan.carried, RESUME_EVENT_PREFIX)];
+}
@@ -0,0 +1,144 @@
+// client/lib/sessionConfig.js
+
+// Shared defaults and helpers for the Realtime session configuration
+
+export const VOICES = [
+  { id: "alloy", name: "Alloy (Female)" },
+  { id: "ash", name: "Ash (Male)" },
+  { id: "ballad", name: "Ballad (Male)" },
+  { id: "coral", name: "Coral (Female)" },
+  { id: "echo", name: "Echo (Male)" },
+  { id: "sage", name: "Sage (Female)" },
+  { id: "shimmer", name: "Shimmer (Female)" },
+  { id: "verse", name: "Verse (Male)" },
+];
+
+export const TOOL_CHOICES = ["auto", "none", "required"];
+
+// Realtime API limits for sampling temperature
+export const TEMPERATURE_RANGE = { min: 0.6, max: 1.2 };
+
+// Realtime API limits for max_response_output_tokens, which also takes "inf"
+export const MAX_OUTPUT_TOKENS_RANGE = { min: 1, max: 4096 };
+
+// A whole number within MAX_OUTPUT_TOKENS_RANGE, or "inf" for no limit (also what
+// anything that isn't a number becomes)
+export function clampMaxOutputTokens(value) {
+  const number = value === "" || value === null ? NaN : Math.round(Number(value));
+  if (value === "inf" || !Number.isFinite(number)) return "inf";
+  return Math.min(MAX_OUTPUT_TOKENS_RANGE.max, Math.max(MAX_OUTPUT_TOKENS_RANGE.min, number));
+}
+
+// Latest session object confirmed by the server (session.updated / session.created)
+export function getConfirmedSession(events) {
+  const event = events.find((e) => e.type === "session.updated" || e.type === "session.created");
+  return event?.session || null;
+}
+
+// The voice can't be changed once the model has responded with audio
+export function hasAssistantAudio(events) {
+  return events.some((e) =>
+    e.type === "response.audio.done" ||
+    e.type === "response.audio_transcript.done" ||
+    e.type === "output_audio_buffer.started",
+  );
+}
+
+// Turn detection settings as edited in the UI (field names match the Realtime API)
+export const DEFAULT_TURN_DETECTION = {
+  type: "server_vad",
+  threshold: 0.5,
+  prefix_padding_ms: 300,
+  silence_duration_ms: 500,
+  eagerness: "auto",
+};
+
+export const TURN_DETECTION_TYPES = [
+  { id: "server_vad", name: "Server VAD (volume based)" },
+  { id: "semantic_vad", name: "Semantic VAD (detects end of thought)" },
+];
+
+export const EAGERNESS_LEVELS = ["auto", "low", "medium", "high"];
+
+// Number inputs hand over strings, and an emptied one must not count as 0
+function toNumber(value) {
+  return value === "" || value === null || value === undefined ? NaN : Number(value);
+}
+
+function isValidThreshold(value) {
+  const number = toNumber(value);
+  return Number.isFinite(number) && number >= 0 && number <= 1;
+}
+
+function isValidDuration(value) {
+  const number = toNumber(value);
+  return Number.isFinite(number) && number >= 0;
+}
+
+// What's wrong with edited turn detection settings, or null when they can be sent
+// (the same checks server.js applies to /token requests)
+export function validateTurnDetection(settings) {
+  if (settings.type === "semantic_vad") {
+    return EAGERNESS_LEVELS.includes(settings.eagerness) ? null : "Pick an eagerness level.";
+  }
+  if (!isValidThreshold(settings.threshold)) return "The threshold must be between 0 and 1.";
+  if (!isValidDuration(settings.prefix_padding_ms)) return "Prefix padding must be a number of milliseconds (0 or more).";
+  if (!isValidDuration(settings.silence_duration_ms)) return "Silence duration must be a number of milliseconds (0 or more).";
+  return null;
+}
+
+// Build the `turn_detection` object for the session, keeping only the fields
+// that apply to the selected type. Invalid values are left out, so the API's
+// defaults apply (see validateTurnDetection).
+export function buildTurnDetection(settings = DEFAULT_TURN_DETECTION) {
+  if (settings.type === "semantic_vad") {
+    return {
+      type: "semantic_vad",
+      eagerness: EAGERNESS_LEVELS.includes(settings.eagerness) ? settings.eagerness : "auto",
+    };
+  }
+
+  const turnDetection = { type: "server_vad" };
+  if (isValidThreshold(settings.threshold)) turnDetection.threshold = toNumber(settings.threshold);
+  if (isValidDuration(settings.prefix_padding_ms)) turnDetection.prefix_padding_ms = toNumber(settings.prefix_padding_ms);
+  if (isValidDuration(settings.silence_duration_ms)) turnDetection.silence_duration_ms = toNumber(settings.silence_duration_ms);
+  return turnDetection;
+}
+
+// Transcription of the user's audio (input_audio_transcription), as edited in the UI
+export const DEFAULT_TRANSCRIPTION = {
+  enabled: false,
+  model: "whisper-1",
+  language: "", // Empty lets the model detect the language
+};
+
+export const TRANSCRIPTION_MODELS = ["whisper-1", "gpt-4o-transcribe", "gpt-4o-mini-transcribe"];
+
+// ISO-639-1 codes offered in the language picker
+export const TRANSCRIPTION_LANGUAGES = [
+  { id: "", name: "Auto-detect" },
+  { id: "en", name: "English" },
+  { id: "es", name: "Spanish" },
+  { id: "fr", name: "French" },
+  { id: "de", name: "German" },
+  { id: "it", name: "Italian" },
+  { id: "pt", name: "Portuguese" },
+  { id: "nl", name: "Dutch" },
+  { id: "ru", name: "Russian" },
+  { id: "uk", name: "Ukrainian" },
+  { id: "pl", name: "Polish" },
+  { id: "tr", name: "Turkish" },
+  { id: "ar", name: "Arabic" },
+  { id: "hi", name: "Hindi" },
+  { id: "ja", name: "Japanese" },
+  { id: "ko", name: "Korean" },
+  { id: "zh", name: "Chinese" },
+];
+
+// Build the `input_audio_transcription` object, or undefined when it's turned off
+export function buildInputAudioTranscription(settings = DEFAULT_TRANSCRIPTION) {
+  if (!settings.enabled) return undefined;
+  return settings.language
+    ? { model: settings.model, language: settings.language }
+    : { model: settings.model };
+}
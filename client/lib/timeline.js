@@ -0,0 +1,154 @@
+// client/lib/timeline.js
+
+// Waterfall of how each response unfolds, built from the event stream (newest first, as
+// kept in App.jsx).
+//
+// The responses, what triggered them and their function calls come from latency.js's
+// getTurnLatencies(), so both views agree on where a turn starts. On top of that, each
+// output item (output_item.added → done) is drawn with its content parts, and for
+// function calls the streamed arguments, the tool execution reported by ToolPanel and
+// the round trip of the function output - from sending it to the response.created of the
+// follow-up response, with the server's conversation.item.created in between. All times
+// are the timestampMs App stamps on each event.
+
+import { getTurnLatencies } from "./latency";
+import { forEachEventOldestFirst } from "./eventBuffer";
+
+// Bar kinds, in the order the legend lists them
+export const TIMELINE_KINDS = [
+  { id: "trigger", name: "Waiting for the response" },
+  { id: "response", name: "Response" },
+  { id: "message", name: "Message item" },
+  { id: "part", name: "Content part" },
+  { id: "function_call", name: "Function call item" },
+  { id: "arguments", name: "Arguments" },
+  { id: "tool", name: "Tool execution" },
+  { id: "output", name: "Output round trip" },
+];
+
+function describeItem(item) {
+  if (item.type === "function_call") return `function_call ${item.name || ""}`.trim();
+  return item.role ? `${item.role} ${item.type}` : item.type;
+}
+
+function deltaMarkers(ms) {
+  return ms ? [{ ms, label: "first delta" }] : [];
+}
+
+// Output items by item_id with their content parts, and when the server confirmed each
+// function output (by call_id) - the parts of the stream getTurnLatencies() leaves out
+function getItemSpans(events) {
+  const items = new Map();
+  const outputsCreated = new Map();
+  let lastMs = null;
+
+  forEachEventOldestFirst(events, (event) => {
+    const ms = event.timestampMs;
+    if (!ms) return;
+    lastMs = Math.max(lastMs ?? ms, ms);
+    if (event.source === "client") return;
+
+    const item = items.get(event.item_id || event.item?.id); // output_item.done only has the item
+    switch (event.type) {
+      case "response.output_item.added":
+        if (!event.item?.id) break;
+        items.set(event.item.id, {
+          type: event.item.type,
+          role: event.item.role,
+          name: event.item.name,
+          addedMs: ms,
+          doneMs: null,
+          firstDeltaMs: null,
+          parts: new Map(),
+        });
+        break;
+
+      case "response.output_item.done":
+        if (item) item.doneMs = ms;
+        break;
+
+      case "response.content_part.added":
+        if (item) {
+          item.parts.set(event.content_index, { index: event.content_index, type: event.part?.type, addedMs: ms, doneMs: null, firstDeltaMs: null });
+        }
+        break;
+
+      case "response.content_part.done": {
+        const part = item?.parts.get(event.content_index);
+        if (part) part.doneMs = ms;
+        break;
+      }
+
+      case "conversation.item.created":
+        if (event.item?.type === "function_call_output" && !outputsCreated.has(event.item.call_id)) {
+          outputsCreated.set(event.item.call_id, ms);
+        }
+        break;
+
+      default:
+        if (item && event.type.endsWith(".delta")) {
+          if (!item.firstDeltaMs) item.firstDeltaMs = ms;
+          const part = item.parts.get(event.content_index);
+          if (part && !part.firstDeltaMs) part.firstDeltaMs = ms;
+        }
+        break;
+    }
+  });
+
+  return { items, outputsCreated, lastMs };
+}
+
+// Responses oldest first: { responseId, status, startMs, endMs, isOpen, bars }. Bars are
+// { id, depth, kind, label, detail, startMs, endMs, isOpen, markers: [{ ms, label }] };
+// bars still running end at the latest event. `toolExecutions` are ToolPanel's
+// { callId, name, startedMs, endedMs, status } reports.
+export function getResponseTimelines(events, toolExecutions = []) {
+  const turns = getTurnLatencies(events);
+  const { items, outputsCreated, lastMs } = getItemSpans(events);
+  const executions = new Map(toolExecutions.map((execution) => [execution.callId, execution]));
+
+  function bar(id, depth, kind, label, detail, startMs, endMs, markers = []) {
+    return { id, depth, kind, label, detail, startMs, endMs: Math.max(startMs, endMs ?? lastMs), isOpen: !endMs, markers };
+  }
+
+  return turns.map((turn, index) => {
+    const id = turn.responseId;
+    const bars = [];
+    if (turn.startMs) {
+      const label = turn.trigger === "speech" ? "speech_stopped → created" : "response.create → created";
+      bars.push(bar(`${id}:trigger`, 0, "trigger", label, null, turn.startMs, turn.createdMs));
+    }
+    bars.push(bar(id, 0, "response", "response", turn.status, turn.createdMs, turn.doneMs));
+
+    turn.itemIds.forEach((itemId) => {
+      const item = items.get(itemId);
+      if (!item) return;
+      const call = turn.toolCalls.find((entry) => entry.itemId === itemId);
+      bars.push(bar(itemId, 1, call ? "function_call" : "message", describeItem(item), itemId, item.addedMs, item.doneMs, call ? [] : deltaMarkers(item.firstDeltaMs)));
+
+      [...item.parts.values()].sort((a, b) => a.index - b.index).forEach((part) => {
+        bars.push(bar(`${itemId}:part${part.index}`, 2, "part", `part ${part.index}: ${part.type || "unknown"}`, null, part.addedMs, part.doneMs, deltaMarkers(part.firstDeltaMs)));
+      });
+
+      if (!call) return;
+      bars.push(bar(`${itemId}:arguments`, 2, "arguments", "arguments", call.callId, item.addedMs, call.argumentsDoneMs, deltaMarkers(item.firstDeltaMs)));
+
+      const execution = executions.get(call.callId);
+      if (execution) {
+        bars.push(bar(`${itemId}:tool`, 2, "tool", `ToolPanel: ${execution.name}`, execution.status, execution.startedMs, execution.endedMs));
+      }
+      if (call.outputSentMs) {
+        // The follow-up is the first response created after the output was sent
+        const followUp = turns.slice(index + 1).find((next) => next.createdMs >= call.outputSentMs);
+        const createdMs = outputsCreated.get(call.callId);
+        const markers = createdMs ? [{ ms: createdMs, label: "conversation.item.created" }] : [];
+        const detail = followUp ? `→ ${followUp.responseId}` : "waiting for the follow-up response";
+        bars.push(bar(`${itemId}:output`, 2, "output", "output → next response", detail, call.outputSentMs, followUp?.createdMs, markers));
+      }
+    });
+
+    const startMs = Math.min(...bars.map((entry) => entry.startMs));
+    const endMs = Math.max(...bars.map((entry) => entry.endMs));
+    return { responseId: id, status: turn.status, startMs, endMs, isOpen: !turn.doneMs, bars };
+  });
+}
@@ -0,0 +1,167 @@
+// client/lib/usage.js
+
+// Token usage and cost estimates built from the `usage` on response.done events.
+//
+// Prices are USD per 1M tokens and can be overridden in the UI; overrides live in
+// localStorage so they survive reloads. Models are matched by exact name first and
+// then by the longest key that prefixes them, so "gpt-4o-realtime-preview" also
+// covers dated snapshots like "gpt-4o-realtime-preview-2024-12-17".
+
+const PRICE_TABLE_KEY = "usagePriceTable";
+const USAGE_HISTORY_KEY = "sessionUsageHistory";
+const MAX_USAGE_HISTORY = 50;
+
+export const PRICE_FIELDS = [
+  { id: "textInput", name: "Text in" },
+  { id: "textCachedInput", name: "Text in (cached)" },
+  { id: "textOutput", name: "Text out" },
+  { id: "audioInput", name: "Audio in" },
+  { id: "audioCachedInput", name: "Audio in (cached)" },
+  { id: "audioOutput", name: "Audio out" },
+];
+
+export const DEFAULT_PRICE_TABLE = {
+  "gpt-4o-realtime-preview": {
+    textInput: 5, textCachedInput: 2.5, textOutput: 20,
+    audioInput: 40, audioCachedInput: 2.5, audioOutput: 80,
+  },
+  "gpt-4o-mini-realtime-preview": {
+    textInput: 0.6, textCachedInput: 0.3, textOutput: 2.4,
+    audioInput: 10, audioCachedInput: 0.3, audioOutput: 20,
+  },
+};
+
+export function loadPriceTable() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PRICE_TABLE_KEY) || "null");
+    return saved && typeof saved === "object" ? { ...DEFAULT_PRICE_TABLE, ...saved } : DEFAULT_PRICE_TABLE;
+  } catch (error) {
+    console.error("Error loading price table:", error);
+    return DEFAULT_PRICE_TABLE;
+  }
+}
+
+export function savePriceTable(table) {
+  localStorage.setItem(PRICE_TABLE_KEY, JSON.stringify(table));
+}
+
+export function resetPriceTable() {
+  localStorage.removeItem(PRICE_TABLE_KEY);
+  return DEFAULT_PRICE_TABLE;
+}
+
+// The price table key that applies to a model, or null if none does
+export function findPriceKey(table, model) {
+  if (!model) return null;
+  if (table[model]) return model;
+  const matches = Object.keys(table).filter((key) => model.startsWith(key));
+  return matches.sort((a, b) => b.length - a.length)[0] || null;
+}
+
+const EMPTY_TOKENS = {
+  textInput: 0,
+  textCachedInput: 0,
+  textOutput: 0,
+  audioInput: 0,
+  audioCachedInput: 0,
+  audioOutput: 0,
+};
+
+// Split a response's usage into the billed categories
+export function getTokenBreakdown(usage) {
+  const input = usage?.input_token_details || {};
+  const output = usage?.output_token_details || {};
+  const cached = input.cached_tokens || 0;
+  // Older payloads only report the cached total; treat it as text in that case
+  const cachedText = input.cached_tokens_details?.text_tokens ?? cached;
+  const cachedAudio = input.cached_tokens_details?.audio_tokens ?? 0;
+
+  return {
+    textInput: Math.max(0, (input.text_tokens || 0) - cachedText),
+    textCachedInput: cachedText,
+    textOutput: output.text_tokens || 0,
+    audioInput: Math.max(0, (input.audio_tokens || 0) - cachedAudio),
+    audioCachedInput: cachedAudio,
+    audioOutput: output.audio_tokens || 0,
+  };
+}
+
+export function getTokenCost(tokens, prices) {
+  if (!prices) return null;
+  return PRICE_FIELDS.reduce((total, { id }) => total + (tokens[id] * (Number(prices[id]) || 0)) / 1000000, 0);
+}
+
+function addTokens(a, b) {
+  const sum = {};
+  Object.keys(EMPTY_TOKENS).forEach((key) => {
+    sum[key] = a[key] + b[key];
+  });
+  return sum;
+}
+
+// Per-response usage (oldest first) plus the session total
+export function getSessionUsage(events, prices) {
+  const responses = events
+    .filter((event) => event.type === "response.done" && event.response?.usage)
+    .map((event) => {
+      const { usage } = event.response;
+      const tokens = getTokenBreakdown(usage);
+      return {
+        responseId: event.response.id,
+        status: event.response.status,
+        timestampMs: event.timestampMs,
+        inputTokens: usage.input_tokens || 0,
+        outputTokens: usage.output_tokens || 0,
+        totalTokens: usage.total_tokens || 0,
+        tokens,
+        cost: getTokenCost(tokens, prices),
+      };
+    })
+    .reverse();
+
+  const total = responses.reduce(
+    (sum, response) => ({
+      inputTokens: sum.inputTokens + response.inputTokens,
+      outputTokens: sum.outputTokens + response.outputTokens,
+      totalTokens: sum.totalTokens + response.totalTokens,
+      tokens: addTokens(sum.tokens, response.tokens),
+    }),
+    { inputTokens: 0, outputTokens: 0, totalTokens: 0, tokens: EMPTY_TOKENS },
+  );
+  total.cost = getTokenCost(total.tokens, prices);
+
+  return { responses, total };
+}
+
+export function formatCost(cost) {
+  if (cost === null || cost === undefined) return "n/a";
+  return cost < 0.01 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+export function formatTokens(count) {
+  return count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count);
+}
+
+// --- Per-session totals kept for later review ---
+
+export function loadUsageHistory() {
+  try {
+    return JSON.parse(localStorage.getItem(USAGE_HISTORY_KEY) || "[]");
+  } catch (error) {
+    console.error("Error loading usage history:", error);
+    return [];
+  }
+}
+
+// Insert or update the record for one session (newest first)
+export function saveSessionUsage(record) {
+  const history = loadUsageHistory().filter((entry) => entry.sessionKey !== record.sessionKey);
+  const updated = [record, ...history].slice(0, MAX_USAGE_HISTORY);
+  localStorage.setItem(USAGE_HISTORY_KEY, JSON.stringify(updated));
+  return updated;
+}
+
+export function clearUsageHistory() {
+  localStorage.setItem(USAGE_HISTORY_KEY, "[]");
+  return [];
+}
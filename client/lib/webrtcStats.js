@@ -0,0 +1,220 @@
+// client/lib/webrtcStats.js
+
+// Helpers for turning RTCPeerConnection.getStats() reports into the small set of
+// numbers that explain choppy audio: round trip time, jitter, packet loss and
+// bitrate, plus which ICE candidate pair and codec the session ended up using.
+
+export const STATS_METRICS = [
+  { id: "rttMs", name: "Round trip time", unit: "ms" },
+  { id: "jitterMs", name: "Jitter (inbound)", unit: "ms" },
+  { id: "packetLossPct", name: "Packet loss (inbound)", unit: "%" },
+  { id: "inboundKbps", name: "Audio bitrate in", unit: "kbps" },
+  { id: "outboundKbps", name: "Audio bitrate out", unit: "kbps" },
+];
+
+export const MAX_STATS_SAMPLES = 600; // Ten minutes at one sample a second
+
+function round(value, digits = 1) {
+  if (value === null || value === undefined || Number.isNaN(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// The candidate pair actually carrying media
+function getSelectedCandidatePair(report) {
+  let transportPairId = null;
+  report.forEach((stat) => {
+    if (stat.type === "transport" && stat.selectedCandidatePairId) {
+      transportPairId = stat.selectedCandidatePairId;
+    }
+  });
+  if (transportPairId) return report.get(transportPairId) || null;
+
+  // Firefox doesn't expose the transport stat, but flags the pair itself
+  let selected = null;
+  report.forEach((stat) => {
+    if (stat.type === "candidate-pair" && (stat.selected || (stat.nominated && stat.state === "succeeded"))) {
+      selected = stat;
+    }
+  });
+  return selected;
+}
+
+function describeCandidate(candidate) {
+  if (!candidate) return null;
+  return {
+    type: candidate.candidateType, // host, srflx, prflx or relay
+    protocol: candidate.protocol,
+    address: candidate.address || candidate.ip || null,
+    port: candidate.port,
+    relayProtocol: candidate.relayProtocol || null,
+  };
+}
+
+function findAudioStat(report, type) {
+  let found = null;
+  report.forEach((stat) => {
+    if (stat.type === type && (stat.kind || stat.mediaType) === "audio") found = stat;
+  });
+  return found;
+}
+
+// Read one report into a flat sample. `previous` is the last raw snapshot for the
+// same peer connection, used to turn byte and packet counters into rates.
+export function parseStatsReport(report, previous = null) {
+  const pair = getSelectedCandidatePair(report);
+  const inbound = findAudioStat(report, "inbound-rtp");
+  const outbound = findAudioStat(report, "outbound-rtp");
+  const remoteInbound = findAudioStat(report, "remote-inbound-rtp");
+  const codec = inbound?.codecId ? report.get(inbound.codecId) : null;
+
+  const raw = {
+    timestamp: Date.now(),
+    bytesReceived: inbound?.bytesReceived ?? null,
+    bytesSent: outbound?.bytesSent ?? null,
+    packetsReceived: inbound?.packetsReceived ?? null,
+    packetsLost: inbound?.packetsLost ?? null,
+  };
+
+  const seconds = previous ? (raw.timestamp - previous.timestamp) / 1000 : 0;
+  const rate = (field) => {
+    if (!previous || seconds <= 0 || raw[field] === null || previous[field] === null) return null;
+    return ((raw[field] - previous[field]) * 8) / 1000 / seconds;
+  };
+
+  // Loss over the last interval, so a single bad patch is visible in the chart
+  let packetLossPct = null;
+  if (previous && raw.packetsReceived !== null && previous.packetsReceived !== null) {
+    const received = raw.packetsReceived - previous.packetsReceived;
+    const lost = (raw.packetsLost ?? 0) - (previous.packetsLost ?? 0);
+    if (received + lost > 0) packetLossPct = (Math.max(0, lost) / (received + lost)) * 100;
+  }
+
+  const rttSeconds = pair?.currentRoundTripTime ?? remoteInbound?.roundTripTime ?? null;
+
+  return {
+    raw,
+    sample: {
+      timestamp: raw.timestamp,
+      rttMs: rttSeconds === null ? null : round(rttSeconds * 1000),
+      jitterMs: inbound?.jitter === undefined ? null : round(inbound.jitter * 1000),
+      packetLossPct: round(packetLossPct, 2),
+      inboundKbps: round(rate("bytesReceived")),
+      outboundKbps: round(rate("bytesSent")),
+      packetsLostTotal: raw.packetsLost,
+      packetsReceivedTotal: raw.packetsReceived,
+    },
+    connection: {
+      localCandidate: describeCandidate(pair ? report.get(pair.localCandidateId) : null),
+      remoteCandidate: describeCandidate(pair ? report.get(pair.remoteCandidateId) : null),
+      codec: codec
+        ? {
+          mimeType: codec.mimeType,
+          clockRate: codec.clockRate,
+          channels: codec.channels,
+          sdpFmtpLine: codec.sdpFmtpLine || null,
+        }
+        : null,
+    },
+  };
+}
+
+// The most recent samples in a fixed-size ring, plus running min/sum/max of each
+// metric so the summary still covers the whole session once old samples are dropped.
+export function createStatsHistory(capacity = MAX_STATS_SAMPLES) {
+  const slots = new Array(capacity);
+  let start = 0; // Slot of the oldest sample
+  let size = 0;
+  let count = 0;
+  let firstTimestamp = null;
+  const metrics = new Map(); // metric id -> { min, max, sum, samples }
+  let snapshot = [];
+
+  function add(sample) {
+    if (size === capacity) {
+      slots[start] = sample;
+      start = (start + 1) % capacity;
+    } else {
+      slots[(start + size) % capacity] = sample;
+      size++;
+    }
+    count++;
+    if (firstTimestamp === null) firstTimestamp = sample.timestamp;
+
+    STATS_METRICS.forEach(({ id }) => {
+      const value = sample[id];
+      if (value === null || value === undefined) return;
+      const metric = metrics.get(id);
+      if (!metric) {
+        metrics.set(id, { min: value, max: value, sum: value, samples: 1 });
+      } else {
+        metric.min = Math.min(metric.min, value);
+        metric.max = Math.max(metric.max, value);
+        metric.sum += value;
+        metric.samples++;
+      }
+    });
+    snapshot = null;
+  }
+
+  // Samples still in the ring, oldest first
+  function getSamples() {
+    if (!snapshot) {
+      snapshot = new Array(size);
+      for (let i = 0; i < size; i++) {
+        snapshot[i] = slots[(start + i) % capacity];
+      }
+    }
+    return snapshot;
+  }
+
+  // min/avg/max of one metric across every sample that had it
+  function summarizeMetric(id) {
+    const metric = metrics.get(id);
+    if (!metric) return null;
+    return {
+      min: round(metric.min, 2),
+      avg: round(metric.sum / metric.samples, 2),
+      max: round(metric.max, 2),
+      samples: metric.samples,
+    };
+  }
+
+  return {
+    add,
+    getSamples,
+    summarizeMetric,
+    get count() {
+      return count;
+    },
+    get firstTimestamp() {
+      return firstTimestamp;
+    },
+  };
+}
+
+// JSON-friendly report for attaching to bug reports. `samples` holds the recent ones
+// still in `history`; the metrics cover all of them.
+export function buildStatsSummary({ history, connection, startedAt }) {
+  const metrics = {};
+  STATS_METRICS.forEach(({ id, unit }) => {
+    metrics[id] = { unit, ...history.summarizeMetric(id) };
+  });
+
+  const samples = history.getSamples();
+  const last = samples[samples.length - 1];
+  return {
+    generated_at: new Date().toISOString(),
+    session_started_at: startedAt ? new Date(startedAt).toISOString() : null,
+    duration_seconds: history.count > 1 ? Math.round((last.timestamp - history.firstTimestamp) / 1000) : 0,
+    user_agent: navigator.userAgent,
+    connection,
+    totals: {
+      packets_received: last?.packetsReceivedTotal ?? null,
+      packets_lost: last?.packetsLostTotal ?? null,
+    },
+    metrics,
+    sample_count: history.count,
+    samples,
+  };
+}
@@ -0,0 +1,234 @@
+// client/lib/websocketTransport.js
+
+// WebSocket transport for the Realtime API, relayed through our own server.
+//
+// The object returned by createWebSocketTransport() deliberately looks like the
+// RTCDataChannel used by the WebRTC transport (send/close/onopen/onmessage/onclose),
+// so App.jsx can store it as its "data channel" and the rest of the app doesn't
+// need to know which transport is in use. Audio is handled here with Web Audio:
+// the mic is streamed as base64 PCM16 via input_audio_buffer.append and
+// response.audio.delta chunks are scheduled for playback.
+
+const REALTIME_SAMPLE_RATE = 24000; // Realtime API pcm16 is 24kHz mono
+
+// --- PCM helpers ---
+
+// Linear resample of a Float32 block to the Realtime API sample rate
+function resample(input, inputRate) {
+  if (inputRate === REALTIME_SAMPLE_RATE) return input;
+  const ratio = inputRate / REALTIME_SAMPLE_RATE;
+  const length = Math.floor(input.length / ratio);
+  const output = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, input.length - 1);
+    const fraction = position - index;
+    output[i] = input[index] + (input[next] - input[index]) * fraction;
+  }
+  return output;
+}
+
+function floatToPcm16Base64(samples) {
+  const buffer = new ArrayBuffer(samples.length * 2);
+  const view = new DataView(buffer);
+  for (let i = 0; i < samples.length; i++) {
+    const s = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(i * 2, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+  }
+  let binary = "";
+  const bytes = new Uint8Array(buffer);
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function pcm16Base64ToFloat(base64) {
+  const binary = atob(base64);
+  const view = new DataView(new ArrayBuffer(binary.length));
+  for (let i = 0; i < binary.length; i++) {
+    view.setUint8(i, binary.charCodeAt(i));
+  }
+  const samples = new Float32Array(binary.length / 2);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = view.getInt16(i * 2, true) / 0x8000;
+  }
+  return samples;
+}
+
+// Build the ws:// URL for the relay route on the server that served the page
+export function getRelayUrl() {
+  const protocol = window.location.protocol === "https:" ? "wss:" : "ws:";
+  return `${protocol}//${window.location.host}/realtime`;
+}
+
+// Create a data-channel-like transport. `sessionOptions` (what /token takes) are sent to
+// the relay as the first message; `localStream` is the mic stream (optional)
+export function createWebSocketTransport({ url, sessionOptions = {}, localStream = null }) {
+  const socket = new WebSocket(url);
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const audioCtx = new AudioContextClass();
+
+  // Remote audio is also routed into a MediaStream so it can be analysed or recorded
+  const remoteDestination = audioCtx.createMediaStreamDestination();
+  let nextPlayTime = 0;
+  const playingSources = new Set();
+  // Playback window per assistant item (AudioContext time), used for truncation
+  const itemPlayback = new Map();
+  const droppedItems = new Set(); // Interrupted items whose late audio chunks are ignored
+
+  let micSource = null;
+  let micProcessor = null;
+
+  const transport = {
+    kind: "websocket",
+    onopen: null,
+    onmessage: null,
+    onclose: null,
+    remoteStream: remoteDestination.stream,
+
+    get readyState() {
+      return ["connecting", "open", "closing", "closed"][socket.readyState];
+    },
+
+    send(message) {
+      socket.send(message);
+    },
+
+    // How much of an item's audio has actually been heard, in ms
+    getPlayedMs(itemId) {
+      const playback = itemPlayback.get(itemId);
+      if (!playback) return 0;
+      const played = Math.min(audioCtx.currentTime, playback.end) - playback.start;
+      return Math.max(0, Math.round(played * 1000));
+    },
+
+    isPlaying(itemId) {
+      const playback = itemPlayback.get(itemId);
+      return !!playback && audioCtx.currentTime < playback.end;
+    },
+
+    // Silence output immediately and ignore any further audio for the item
+    stopPlayback(itemId) {
+      if (itemId) droppedItems.add(itemId);
+      stopAllSources();
+      nextPlayTime = 0;
+    },
+
+    close() {
+      stopMicCapture();
+      if (socket.readyState === WebSocket.OPEN || socket.readyState === WebSocket.CONNECTING) {
+        socket.close();
+      }
+    },
+  };
+
+  function startMicCapture() {
+    if (!localStream) return;
+
+    micSource = audioCtx.createMediaStreamSource(localStream);
+    // ScriptProcessorNode is deprecated but needs no separate worklet module
+    micProcessor = audioCtx.createScriptProcessor(4096, 1, 1);
+    micProcessor.onaudioprocess = (e) => {
+      const track = localStream.getAudioTracks()[0];
+      // Don't stream anything while the mic track is disabled (muted)
+      if (socket.readyState !== WebSocket.OPEN || !track?.enabled) return;
+
+      const samples = resample(e.inputBuffer.getChannelData(0), audioCtx.sampleRate);
+      socket.send(JSON.stringify({
+        type: "input_audio_buffer.append",
+        audio: floatToPcm16Base64(samples),
+      }));
+    };
+    micSource.connect(micProcessor);
+    // The processor only runs while connected to the destination; it outputs silence
+    micProcessor.connect(audioCtx.destination);
+  }
+
+  function stopMicCapture() {
+    if (micProcessor) {
+      micProcessor.onaudioprocess = null;
+      micProcessor.disconnect();
+      micProcessor = null;
+    }
+    if (micSource) {
+      micSource.disconnect();
+      micSource = null;
+    }
+  }
+
+  function stopAllSources() {
+    playingSources.forEach((source) => {
+      try { source.stop(); } catch (error) { /* already stopped */ }
+    });
+    playingSources.clear();
+  }
+
+  function playAudioChunk(base64, itemId) {
+    if (droppedItems.has(itemId)) return;
+    const samples = pcm16Base64ToFloat(base64);
+    if (samples.length === 0) return;
+
+    const buffer = audioCtx.createBuffer(1, samples.length, REALTIME_SAMPLE_RATE);
+    buffer.copyToChannel(samples, 0);
+
+    const source = audioCtx.createBufferSource();
+    source.buffer = buffer;
+    source.connect(audioCtx.destination);
+    source.connect(remoteDestination);
+
+    // Queue chunks back to back so playback is gapless
+    nextPlayTime = Math.max(nextPlayTime, audioCtx.currentTime);
+    source.start(nextPlayTime);
+
+    const playback = itemPlayback.get(itemId) || { start: nextPlayTime, end: nextPlayTime };
+    playback.end = nextPlayTime + buffer.duration;
+    itemPlayback.set(itemId, playback);
+
+    nextPlayTime += buffer.duration;
+
+    playingSources.add(source);
+    source.onended = () => playingSources.delete(source);
+  }
+
+  socket.onopen = () => {
+    // Must come before anything else (see server/realtimeRelay.js)
+    socket.send(JSON.stringify({ type: "relay.session", session: sessionOptions }));
+    // Browsers may create the context suspended until there's been a user gesture
+    audioCtx.resume().catch(() => {});
+    startMicCapture();
+    transport.onopen?.();
+  };
+
+  socket.onmessage = (e) => {
+    let event;
+    try {
+      event = JSON.parse(e.data);
+    } catch (error) {
+      console.warn("WebSocket transport: ignoring non-JSON message", error);
+      return;
+    }
+
+    if (event.type === "response.audio.delta" && event.delta) {
+      playAudioChunk(event.delta, event.item_id);
+      // Keep the event log light - the base64 audio isn't useful to display
+      event = { ...event, delta: `[${event.delta.length} base64 chars of audio]` };
+    }
+
+    transport.onmessage?.({ data: JSON.stringify(event) });
+  };
+
+  socket.onerror = (e) => {
+    console.error("WebSocket transport error:", e);
+  };
+
+  socket.onclose = () => {
+    stopMicCapture();
+    stopAllSources();
+    audioCtx.close().catch(() => {});
+    transport.onclose?.();
+  };
+
+  return transport;
+}
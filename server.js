@@ -2,6 +2,7 @@ import express from "express";
 import fs from "fs";
 import { createServer as createViteServer } from "vite";
 import "dotenv/config";
+import { attachRealtimeRelay } from "./server/realtimeRelay.js";
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -11,6 +12,10 @@ const searxngAuthEnabled = process.env.SEARXNG_AUTH_ENABLED === 'true';
 const searxngUser = process.env.SEARXNG_USER;
 const searxngPass = process.env.SEARXNG_PASS;
 const openaiModel = process.env.OPENAI_REALTIME_MODEL || "gpt-4o-realtime-preview-2024-12-17";
+// Serve a scripted local stand-in instead of the Realtime API (offline development)
+const mockRealtime = process.env.MOCK_REALTIME === 'true';
+// Extra page origins allowed to open the WebSocket relay (the app's own host always is)
+const relayAllowedOrigins = (process.env.RELAY_ALLOWED_ORIGINS || "").split(",").map((origin) => origin.trim()).filter(Boolean);
 
 // Configure Vite middleware for React client with reduced logging
 const vite = await createViteServer({
@@ -43,23 +48,102 @@ const vite = await createViteServer({
 app.use(vite.middlewares);
 app.use(express.json()); 
 
+const EAGERNESS_LEVELS = ["auto", "low", "medium", "high"];
+
+function isNonNegativeNumber(value) {
+  return Number.isFinite(value) && value >= 0;
+}
+
+// Only pass through the turn detection fields the Realtime API understands (invalid
+// values are dropped, so the API's defaults apply)
+function sanitizeTurnDetection(turnDetection) {
+  if (!turnDetection || typeof turnDetection !== "object") return undefined;
+
+  const { type, threshold, prefix_padding_ms, silence_duration_ms, eagerness } = turnDetection;
+
+  if (type === "semantic_vad") {
+    return EAGERNESS_LEVELS.includes(eagerness) ? { type, eagerness } : { type };
+  }
+
+  if (type === "server_vad") {
+    const result = { type };
+    if (Number.isFinite(threshold)) result.threshold = Math.min(Math.max(threshold, 0), 1);
+    if (isNonNegativeNumber(prefix_padding_ms)) result.prefix_padding_ms = prefix_padding_ms;
+    if (isNonNegativeNumber(silence_duration_ms)) result.silence_duration_ms = silence_duration_ms;
+    return result;
+  }
+
+  return undefined;
+}
+
+const TRANSCRIPTION_MODELS = ["whisper-1", "gpt-4o-transcribe", "gpt-4o-mini-transcribe"];
+
+// Only pass through a known transcription model and an ISO-639-1 language code
+function sanitizeInputAudioTranscription(transcription) {
+  if (!transcription || typeof transcription !== "object") return undefined;
+  if (!TRANSCRIPTION_MODELS.includes(transcription.model)) return undefined;
+
+  const result = { model: transcription.model };
+  if (typeof transcription.language === "string" && /^[a-z]{2}$/.test(transcription.language)) {
+    result.language = transcription.language;
+  }
+  return result;
+}
+
+// Build the session configuration shared by /token and the WebSocket relay
+function buildSessionConfig({ voice = "verse", instructions, turn_detection, modalities, input_audio_transcription } = {}) {
+  const session = { voice };
+
+  // Text-only sessions ask for ["text"]; anything else keeps the API default (text + audio)
+  if (Array.isArray(modalities) && modalities.length > 0 && modalities.every((m) => m === "text" || m === "audio")) {
+    session.modalities = modalities;
+  }
+
+  // Only add instructions if provided
+  if (instructions) {
+    session.instructions = instructions;
+  }
+
+  const turnDetection = sanitizeTurnDetection(turn_detection);
+  if (turnDetection) {
+    session.turn_detection = turnDetection;
+  }
+
+  const transcription = sanitizeInputAudioTranscription(input_audio_transcription);
+  if (transcription) {
+    session.input_audio_transcription = transcription;
+  }
+
+  return session;
+}
+
 // API route for token generation
 app.post("/token", async (req, res) => {
   try {
     const { voice = "verse", instructions } = req.body;
-    console.log(`Generating token with voice: ${voice}${instructions ? " and custom instructions" : ""}`);
+    console.log(`Generating token with voice: ${voice}${instructions ? " and custom instructions" : ""}${req.body.turn_detection ? ` (${req.body.turn_detection.type})` : ""}`);
     
     // Build request body with optional instructions
     const requestBody = {
       model: openaiModel,
-      voice: voice,
+      ...buildSessionConfig(req.body),
     };
-    
-    // Only add instructions if provided
-    if (instructions) {
-      requestBody.instructions = instructions;
+
+    // In mock mode hand out a fake ephemeral key; the client answers its SDP offer with a
+    // stand-in peer that talks to the mock through the relay (client/lib/mockPeer.js)
+    if (mockRealtime) {
+      return res.json({
+        id: `sess_mock_${Date.now()}`,
+        object: "realtime.session",
+        ...requestBody,
+        client_secret: {
+          value: `ek_mock_${Math.random().toString(36).slice(2)}`,
+          expires_at: Math.floor(Date.now() / 1000) + 60,
+        },
+        mock: true,
+      });
     }
-    
+
     const response = await fetch(
       "https://api.openai.com/v1/realtime/sessions",
       {
@@ -321,7 +405,8 @@ app.get('/api/config', (req, res) => {
   //   env_vars_present: Object.keys(availableEnvVars).filter(key => availableEnvVars[key])
   // });
   
-  res.json({ availableEnvVars });
+  // mockRealtime tells the client to connect to the mock Realtime server
+  res.json({ availableEnvVars, mockRealtime });
 });
 
 // Render the React client
@@ -343,6 +428,19 @@ app.use("*", async (req, res, next) => {
   }
 });
 
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`Express server running on *:${port}`);
 });
+
+// WebSocket relay for the "WebSocket" transport (used when WebRTC is blocked)
+attachRealtimeRelay(server, {
+  apiKey,
+  model: openaiModel,
+  buildSessionConfig,
+  mock: mockRealtime,
+  allowedOrigins: relayAllowedOrigins,
+});
+
+if (mockRealtime) {
+  console.log("MOCK_REALTIME is enabled - sessions are answered by the local mock, not OpenAI");
+}
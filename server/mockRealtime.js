@@ -0,0 +1,356 @@
+import { WebSocket } from "ws";
+
+// Scripted stand-in for the Realtime API, used when MOCK_REALTIME=true.
+//
+// It speaks the same event protocol over the relay WebSocket so the UI, tools,
+// webhooks and clipboard flows can be exercised without an OpenAI account.
+// Responses are text/transcript only (no audio). When the last user message
+// mentions something one of the session's tools can do, the mock answers with a
+// function_call so the whole tool round-trip runs.
+
+const STEP_DELAY_MS = 40; // Delay between scripted events, so deltas stream visibly
+
+// Keyword -> tool call the mock should make (only if the tool is registered)
+const TOOL_SCRIPTS = [
+  {
+    pattern: /\b(time|date|clock)\b/i,
+    name: "current_datetime",
+    args: () => ({ format: "human", timezone: "local" }),
+  },
+  {
+    pattern: /\b(colou?r|palette)\b/i,
+    name: "display_color_palette",
+    args: () => ({
+      theme: "mock sunset",
+      colors: ["#ff7e5f", "#feb47b", "#ffcc80", "#6a82fb", "#2c3e50"],
+    }),
+  },
+  {
+    pattern: /\b(save|clipboard|copy)\b/i,
+    name: "clipboard_manager",
+    args: (text) => ({ action: "save", text }),
+  },
+  {
+    pattern: /\b(search|look up|find)\b/i,
+    name: "web_search",
+    args: (text) => ({ query: text }),
+  },
+];
+
+function getItemText(item) {
+  return (item?.content || [])
+    .map((part) => part.text ?? part.transcript ?? "")
+    .join("");
+}
+
+// Split text into small chunks that look like streamed deltas
+function toDeltas(text) {
+  return text.match(/\S+\s*/g) || [text];
+}
+
+export function handleMockConnection(client, { session: sessionConfig = {}, model }) {
+  let counter = 0;
+  const nextId = (prefix) => `${prefix}_mock_${Date.now().toString(36)}${(counter++).toString(36)}`;
+
+  const session = {
+    id: nextId("sess"),
+    object: "realtime.session",
+    model,
+    modalities: ["text", "audio"],
+    instructions: "",
+    voice: "verse",
+    input_audio_format: "pcm16",
+    output_audio_format: "pcm16",
+    input_audio_transcription: null,
+    turn_detection: { type: "server_vad", threshold: 0.5, prefix_padding_ms: 300, silence_duration_ms: 500 },
+    tools: [],
+    tool_choice: "auto",
+    temperature: 0.8,
+    max_response_output_tokens: "inf",
+    ...sessionConfig,
+  };
+
+  const items = []; // The conversation, oldest first
+  const timers = new Set();
+  let activeResponse = null;
+
+  function send(event) {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify({ event_id: nextId("event"), ...event }));
+    }
+  }
+
+  // `eventId` is the client event that caused the error, as the real API reports it
+  function sendError(message, code = "mock_error", eventId = null) {
+    send({ type: "error", error: { type: "invalid_request_error", code, message, event_id: eventId } });
+  }
+
+  // Run a list of scripted steps one after another
+  function schedule(steps, onComplete) {
+    const run = (index) => {
+      if (index >= steps.length) {
+        onComplete?.();
+        return;
+      }
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        steps[index]();
+        run(index + 1);
+      }, STEP_DELAY_MS);
+      timers.add(timer);
+    };
+    run(0);
+  }
+
+  // Append, or insert after `previousItemId` ("root" inserts at the start)
+  function addItem(item, previousItemId, eventId) {
+    let index = items.length;
+    if (previousItemId === "root") {
+      index = 0;
+    } else if (previousItemId) {
+      index = items.findIndex((existing) => existing.id === previousItemId) + 1;
+      if (index === 0) {
+        sendError(`Previous item ${previousItemId} does not exist`, "item_not_found", eventId);
+        return;
+      }
+    }
+    items.splice(index, 0, item);
+    send({ type: "conversation.item.created", previous_item_id: items[index - 1]?.id || null, item });
+  }
+
+  function mockUsage(outputText) {
+    const outputTokens = Math.ceil(outputText.length / 4);
+    const inputTokens = items.reduce((sum, item) => sum + Math.ceil(getItemText(item).length / 4), 0) + 50;
+    return {
+      total_tokens: inputTokens + outputTokens,
+      input_tokens: inputTokens,
+      output_tokens: outputTokens,
+      input_token_details: { text_tokens: inputTokens, audio_tokens: 0, cached_tokens: 0 },
+      output_token_details: { text_tokens: outputTokens, audio_tokens: 0 },
+    };
+  }
+
+  function finishResponse(response, status = "completed") {
+    const done = { ...response, status, usage: mockUsage(response.output.map(getItemText).join("") + (response.output[0]?.arguments || "")) };
+    send({ type: "response.done", response: done });
+    send({
+      type: "rate_limits.updated",
+      rate_limits: [
+        { name: "requests", limit: 1000, remaining: 999, reset_seconds: 60 },
+        { name: "tokens", limit: 100000, remaining: 100000 - done.usage.total_tokens, reset_seconds: 60 },
+      ],
+    });
+    activeResponse = null;
+  }
+
+  // Pick what the mock should do for the latest turn
+  function planResponse() {
+    const last = items[items.length - 1];
+
+    if (last?.type === "function_call_output") {
+      const call = items.find((item) => item.type === "function_call" && item.call_id === last.call_id);
+      const output = String(last.output || "").slice(0, 200);
+      return { text: `Mock response: ${call?.name || "the tool"} returned ${output}` };
+    }
+
+    const userText = last?.type === "message" ? getItemText(last) : "";
+    const toolNames = (session.tools || []).map((tool) => tool.name);
+
+    if (session.tool_choice !== "none") {
+      const script = TOOL_SCRIPTS.find((s) => s.pattern.test(userText) && toolNames.includes(s.name));
+      if (script) {
+        return { toolCall: { name: script.name, arguments: JSON.stringify(script.args(userText)) } };
+      }
+    }
+
+    return {
+      text: userText
+        ? `This is a mock response to: "${userText}". Mention the time, a color palette, saving to the clipboard or a search to try a tool.`
+        : "This is a mock response. The mock server doesn't transcribe audio, so try sending a text message.",
+    };
+  }
+
+  function createResponse() {
+    if (activeResponse) {
+      sendError("Conversation already has an active response", "conversation_already_has_active_response");
+      return;
+    }
+
+    const plan = planResponse();
+    const response = { id: nextId("resp"), object: "realtime.response", status: "in_progress", output: [] };
+    activeResponse = response;
+    send({ type: "response.created", response });
+
+    if (plan.toolCall) {
+      const item = {
+        id: nextId("item"),
+        object: "realtime.item",
+        type: "function_call",
+        status: "in_progress",
+        call_id: nextId("call"),
+        name: plan.toolCall.name,
+        arguments: "",
+      };
+      const common = { response_id: response.id, item_id: item.id, output_index: 0 };
+      const chunks = plan.toolCall.arguments.match(/.{1,16}/g) || [];
+
+      schedule([
+        () => send({ type: "response.output_item.added", response_id: response.id, output_index: 0, item }),
+        () => addItem(item),
+        ...chunks.map((delta) => () => send({ type: "response.function_call_arguments.delta", ...common, call_id: item.call_id, delta })),
+        () => {
+          item.arguments = plan.toolCall.arguments;
+          item.status = "completed";
+          send({ type: "response.function_call_arguments.done", ...common, call_id: item.call_id, arguments: item.arguments });
+        },
+        () => send({ type: "response.output_item.done", response_id: response.id, output_index: 0, item }),
+        () => {
+          response.output = [item];
+          finishResponse(response);
+        },
+      ]);
+      return;
+    }
+
+    // Stream a text (or audio transcript) answer
+    const textOnly = !session.modalities?.includes("audio");
+    const item = {
+      id: nextId("item"),
+      object: "realtime.item",
+      type: "message",
+      role: "assistant",
+      status: "in_progress",
+      content: [],
+    };
+    const part = textOnly ? { type: "text", text: "" } : { type: "audio", transcript: "" };
+    const common = { response_id: response.id, item_id: item.id, output_index: 0, content_index: 0 };
+    const deltaType = textOnly ? "response.text.delta" : "response.audio_transcript.delta";
+    const doneType = textOnly ? "response.text.done" : "response.audio_transcript.done";
+
+    schedule([
+      () => send({ type: "response.output_item.added", response_id: response.id, output_index: 0, item }),
+      () => addItem(item),
+      () => send({ type: "response.content_part.added", ...common, part }),
+      ...toDeltas(plan.text).map((delta) => () => send({ type: deltaType, ...common, delta })),
+      () => send(textOnly ? { type: doneType, ...common, text: plan.text } : { type: doneType, ...common, transcript: plan.text }),
+      () => {
+        const finalPart = textOnly ? { type: "text", text: plan.text } : { type: "audio", transcript: plan.text };
+        item.content = [finalPart];
+        item.status = "completed";
+        send({ type: "response.content_part.done", ...common, part: finalPart });
+      },
+      () => send({ type: "response.output_item.done", response_id: response.id, output_index: 0, item }),
+      () => {
+        response.output = [item];
+        finishResponse(response);
+      },
+    ]);
+  }
+
+  function cancelResponse() {
+    if (!activeResponse) return;
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+    finishResponse(activeResponse, "cancelled");
+  }
+
+  client.on("message", (data) => {
+    let event;
+    try {
+      event = JSON.parse(data.toString());
+    } catch (error) {
+      sendError("Invalid JSON");
+      return;
+    }
+
+    switch (event.type) {
+      case "session.update":
+        Object.assign(session, event.session || {});
+        send({ type: "session.updated", session });
+        break;
+
+      case "conversation.item.create": {
+        const item = { id: nextId("item"), object: "realtime.item", status: "completed", ...event.item };
+        addItem(item, event.previous_item_id, event.event_id);
+        break;
+      }
+
+      case "conversation.item.delete": {
+        const index = items.findIndex((item) => item.id === event.item_id);
+        if (index === -1) {
+          sendError(`Item ${event.item_id} does not exist`, "item_not_found", event.event_id);
+          break;
+        }
+        items.splice(index, 1);
+        send({ type: "conversation.item.deleted", item_id: event.item_id });
+        break;
+      }
+
+      case "conversation.item.truncate":
+        send({
+          type: "conversation.item.truncated",
+          item_id: event.item_id,
+          content_index: event.content_index,
+          audio_end_ms: event.audio_end_ms,
+        });
+        break;
+
+      case "input_audio_buffer.append":
+        // Audio is accepted but not transcribed
+        break;
+
+      case "input_audio_buffer.clear":
+        send({ type: "input_audio_buffer.cleared" });
+        break;
+
+      case "input_audio_buffer.commit": {
+        const item = {
+          id: nextId("item"),
+          object: "realtime.item",
+          type: "message",
+          role: "user",
+          status: "completed",
+          content: [{ type: "input_audio", transcript: null }],
+        };
+        send({ type: "input_audio_buffer.committed", previous_item_id: items[items.length - 1]?.id || null, item_id: item.id });
+        addItem(item);
+        if (session.input_audio_transcription) {
+          const transcript = "(mock transcription)";
+          schedule([
+            ...toDeltas(transcript).map((delta) => () => send({
+              type: "conversation.item.input_audio_transcription.delta",
+              item_id: item.id,
+              content_index: 0,
+              delta,
+            })),
+            () => send({
+              type: "conversation.item.input_audio_transcription.completed",
+              item_id: item.id,
+              content_index: 0,
+              transcript,
+            }),
+          ]);
+        }
+        break;
+      }
+
+      case "response.create":
+        createResponse();
+        break;
+
+      case "response.cancel":
+        cancelResponse();
+        break;
+
+      default:
+        sendError(`Mock server does not handle ${event.type}`, "unsupported_event");
+    }
+  });
+
+  client.on("close", () => {
+    timers.forEach((timer) => clearTimeout(timer));
+    timers.clear();
+  });
+
+  send({ type: "session.created", session });
+}
@@ -0,0 +1,159 @@
+import { WebSocketServer, WebSocket } from "ws";
+import { handleMockConnection } from "./mockRealtime.js";
+
+const REALTIME_WS_URL = "wss://api.openai.com/v1/realtime";
+
+// The browser's first message carries the session options (they can be too long for a URL)
+export const RELAY_SESSION_EVENT = "relay.session";
+const SESSION_OPTIONS_TIMEOUT_MS = 10000;
+
+// WebSockets aren't covered by CORS, so any page the user visits could otherwise open the
+// relay and spend the server's API key. Browsers always send Origin on an upgrade; it has
+// to be this server's own host or one of `allowedOrigins`. Connections without one aren't
+// from a browser page and are refused as well.
+function isAllowedOrigin(req, allowedOrigins) {
+  const origin = req.headers.origin;
+  if (!origin) return false;
+  if (allowedOrigins.includes(origin)) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Relay Realtime API events between the browser and OpenAI over WebSockets.
+// This is used when the browser can't establish a WebRTC peer connection
+// (e.g. corporate networks that block UDP/TURN). The browser connects to
+// /realtime, the server opens its own socket to OpenAI with the API key and
+// every message is forwarded untouched in both directions.
+// With `mock` set, connections are answered by the local mock instead of OpenAI.
+// `allowedOrigins` lists extra page origins (e.g. "https://app.example.com") that may connect.
+export function attachRealtimeRelay(httpServer, { apiKey, model, buildSessionConfig, mock = false, path = "/realtime", allowedOrigins = [] }) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  httpServer.on("upgrade", (req, socket, head) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== path) return; // Leave other upgrades (e.g. Vite HMR) alone
+
+    if (!isAllowedOrigin(req, allowedOrigins)) {
+      console.warn(`Relay: rejected connection from origin ${req.headers.origin || "(none)"}`);
+      socket.write("HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (client) => {
+      wss.emit("connection", client, req);
+    });
+  });
+
+  wss.on("connection", (client) => {
+    let upstream = null;
+
+    // A bad frame from the browser (invalid or oversized) must only end this connection
+    client.on("error", (error) => {
+      console.error("Relay: browser socket error:", error.message);
+      client.terminate();
+      if (upstream?.readyState === WebSocket.OPEN || upstream?.readyState === WebSocket.CONNECTING) {
+        upstream.close();
+      }
+    });
+
+    const timeout = setTimeout(() => {
+      console.warn("Relay: no session options received, closing");
+      client.close(1008, "Expected session options");
+    }, SESSION_OPTIONS_TIMEOUT_MS);
+    client.once("close", () => clearTimeout(timeout));
+
+    // Session options are the same ones posted to /token
+    client.once("message", (data) => {
+      clearTimeout(timeout);
+      let event = null;
+      try {
+        event = JSON.parse(data.toString());
+      } catch (error) {
+        // Handled below
+      }
+      if (event?.type !== RELAY_SESSION_EVENT) {
+        console.warn("Relay: first message wasn't the session options, closing");
+        client.close(1008, "Expected session options");
+        return;
+      }
+      upstream = startSession(client, event.session && typeof event.session === "object" ? event.session : {});
+    });
+  });
+
+  // Answer with the mock, or open the upstream socket and relay in both directions
+  function startSession(client, sessionOptions) {
+    if (mock) {
+      console.log("Relay: browser connected, answering with the mock Realtime server");
+      handleMockConnection(client, { session: buildSessionConfig(sessionOptions), model });
+      return null;
+    }
+
+    console.log("Relay: browser connected, opening upstream Realtime socket");
+
+    const upstream = new WebSocket(`${REALTIME_WS_URL}?model=${model}`, {
+      headers: {
+        Authorization: `Bearer ${apiKey}`,
+        "OpenAI-Beta": "realtime=v1",
+      },
+    });
+
+    // Queue anything the browser sends before the upstream socket is ready
+    const pending = [];
+
+    upstream.on("open", () => {
+      // Apply voice/instructions the same way /token does for WebRTC sessions
+      upstream.send(JSON.stringify({
+        type: "session.update",
+        session: buildSessionConfig(sessionOptions),
+      }));
+      pending.splice(0).forEach((message) => upstream.send(message));
+    });
+
+    upstream.on("message", (data) => {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(data.toString());
+      }
+    });
+
+    client.on("message", (data) => {
+      const message = data.toString();
+      if (upstream.readyState === WebSocket.OPEN) {
+        upstream.send(message);
+      } else {
+        pending.push(message);
+      }
+    });
+
+    upstream.on("error", (error) => {
+      console.error("Relay: upstream socket error:", error.message);
+      if (client.readyState === WebSocket.OPEN) {
+        // Surface the failure in the event log like any other server error
+        client.send(JSON.stringify({
+          type: "error",
+          event_id: `event_relay_${Date.now()}`,
+          error: { type: "relay_error", message: error.message },
+        }));
+      }
+    });
+
+    upstream.on("close", (code, reason) => {
+      console.log(`Relay: upstream closed (${code}) ${reason?.toString() || ""}`);
+      if (client.readyState === WebSocket.OPEN) client.close();
+    });
+
+    client.on("close", () => {
+      console.log("Relay: browser disconnected");
+      if (upstream.readyState === WebSocket.OPEN || upstream.readyState === WebSocket.CONNECTING) {
+        upstream.close();
+      }
+    });
+
+    return upstream;
+  }
+
+  return wss;
+}